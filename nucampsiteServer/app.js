@@ -1,4 +1,3 @@
-var createError = require('http-errors');
 var express = require('express');
 var path = require('path');
 var cookieParser = require('cookie-parser');
@@ -8,6 +7,8 @@ const FileStore = require('session-file-store')(session);
 const passport = require('passport');
 const config = require('./config');
 const authenticate = require('./authenticate');
+const errors = require('./routes/errors');
+const audit = require('./audit');
 const uploadRouter = require('./routes/uploadRouter');
 
 var indexRouter = require('./routes/index');
@@ -16,6 +17,12 @@ const campsiteRouter = require('./routes/campsiteRouter');
 const promotionRouter = require('./routes/promotionRouter');
 const partnerRouter = require('./routes/partnerRouter');
 const favoriteRouter = require('./routes/favoriteRouter');
+const reservationRouter = require('./routes/reservationRouter');
+const moderationRouter = require('./routes/moderationRouter');
+const geojsonRouter = require('./routes/geojsonRouter');
+const auditRouter = require('./routes/auditRouter');
+const trashRouter = require('./routes/trashRouter');
+const searchRouter = require('./routes/searchRouter');
 const mongoose = require('mongoose');
 
 const url = config.mongoUrl;
@@ -52,7 +59,9 @@ app.all('*', (req, res, next) => {
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
 
+app.use(errors.requestId);
 app.use(logger('dev'));
+app.use(audit.middleware);
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 //app.use(cookieParser('12345-67890-09876-54321'));
@@ -60,7 +69,7 @@ app.use(express.urlencoded({ extended: false }));
 app.use(
   session({
     name: 'session-id',
-    secret: '12345-67890-09876-54321',
+    secret: config.sessionSecret,
     saveUninitialized: false,
     resave: false,
     store: new FileStore(),
@@ -90,25 +99,21 @@ app.use(auth);
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.use('/campsites', campsiteRouter);
+app.use('/campsites.geojson', geojsonRouter);
 app.use('/promotions', promotionRouter);
 app.use('/partners', partnerRouter);
 app.use('/imageUpload', uploadRouter);
 app.use("/favorite", favoriteRouter);
+app.use('/reservations', reservationRouter);
+app.use('/moderation', moderationRouter);
+app.use('/audit', auditRouter);
+app.use('/trash', trashRouter);
+app.use('/search', searchRouter);
 
 // catch 404 and forward to error handler
-app.use(function (req, res, next) {
-  next(createError(404));
-});
-
-// error handler
-app.use(function (err, req, res, next) {
-  // set locals, only providing error in development
-  res.locals.message = err.message;
-  res.locals.error = req.app.get('env') === 'development' ? err : {};
+app.use(errors.notFound);
 
-  // render the error page
-  res.status(err.status || 500);
-  res.render('error');
-});
+// error handler, JSON unless the client asks for HTML
+app.use(errors.handler);
 
 module.exports = app;
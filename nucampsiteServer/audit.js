@@ -0,0 +1,165 @@
+// Audit trail. The middleware writes an AuditLog record for every mutating
+// request that succeeds: who made it, when, the route, the response status and
+// the client IP. Handlers that change documents describe the change with
+// changed() or changedMany() so that the record also carries the resource and
+// a field by field diff.
+//
+// Limitations: the record is written after the response has been sent and is
+// not part of the change itself, so a record can be missing even though the
+// change went through. A failed write is retried once; if that fails too, the
+// whole record is logged on a line starting with AUDIT_WRITE_FAILED, for
+// alerting and for replaying it by hand, and counted in failedWrites() (see
+// GET /audit/status). Diffs compare against a copy of the document read just
+// before the update, see findByIdAndUpdate() below.
+const mongoose = require('mongoose');
+const AuditLog = require('./models/auditLog');
+const config = require('./config');
+
+const MUTATING = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_DELAY_MS = 1000;
+
+let failedWrites = 0;
+
+// Number of audit records lost since the process started.
+exports.failedWrites = () => failedWrites;
+
+const write = (record) =>
+  AuditLog.create(record).catch(() =>
+    new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS)).then(() =>
+      AuditLog.create(record)
+    )
+  );
+
+// Never copied into the log. Password hashes belong to passport-local-mongoose.
+const IGNORED_FIELDS = ['_id', '__v', 'updatedAt', 'hash', 'salt'];
+
+const plain = (doc) =>
+  doc && typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : doc || {};
+
+// { field: { from, to } } for the top level fields that differ.
+const diff = (before, after) => {
+  before = plain(before);
+  after = plain(after);
+  const changes = {};
+  new Set(Object.keys(before).concat(Object.keys(after))).forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+  return changes;
+};
+
+exports.diff = diff;
+
+/**
+ * Describes a change to a single document for the audit record of this
+ * request. Pass null as before for a create and as after for a delete. The
+ * action is worked out from that unless given, e.g. 'trash' or 'restore'.
+ */
+exports.changed = (req, before, after, action) => {
+  const doc = after || before;
+  if (!doc) return;
+  req.audit = {
+    action: action || (!before ? 'create' : !after ? 'delete' : 'update'),
+    resource: doc.constructor.modelName,
+    resourceId: doc._id,
+    changes: diff(before, after),
+  };
+};
+
+// Describes a bulk change of count documents of Model, such as emptying the
+// collection into the trash.
+exports.changedMany = (req, Model, count, action) => {
+  req.audit = {
+    action: action,
+    resource: Model.modelName,
+    count: count,
+  };
+};
+
+/**
+ * Model.findByIdAndUpdate() that also records the change. Resolves with the
+ * updated document, or null when there is no document with that id.
+ *
+ * Only the version of the document that was read is updated, so that the
+ * recorded diff is always right; if it changes in between, this fails with a
+ * VersionError. precondition(before) may refuse the update by throwing, see
+ * routes/conditional.js.
+ */
+exports.findByIdAndUpdate = (req, Model, id, update, precondition) =>
+  Model.findById(id).then((before) => {
+    if (!before) {
+      return null;
+    }
+    if (precondition) {
+      precondition(before);
+    }
+    return Model.findOneAndUpdate({ _id: id, __v: before.__v }, update, {
+      new: true,
+    }).then((after) => {
+      if (!after) {
+        throw new mongoose.Error.VersionError(
+          before,
+          before.__v,
+          Object.keys(update)
+        );
+      }
+      exports.changed(req, before, after);
+      return after;
+    });
+  });
+
+// doc.softDelete() that also records the change. Resolves with the trashed
+// document.
+exports.softDelete = (req, doc) => {
+  const before = doc.toObject();
+  return doc.softDelete(req.user._id).then((after) => {
+    exports.changed(req, before, after, 'trash');
+    return after;
+  });
+};
+
+// Model.softDeleteMany() that also records how many documents were trashed.
+exports.softDeleteMany = (req, Model, filter) =>
+  Model.softDeleteMany(filter, req.user._id).then((result) => {
+    exports.changedMany(req, Model, result.nModified, 'trashMany');
+    return result;
+  });
+
+exports.middleware = (req, res, next) => {
+  if (!MUTATING.includes(req.method)) {
+    return next();
+  }
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+    const retentionDays = config.audit.retentionDays;
+    const record = Object.assign(
+      {
+        user: req.user && req.user._id,
+        username: req.user && req.user.username,
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : undefined,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        ip: req.ip,
+        requestId: req.id,
+        expiresAt: retentionDays
+          ? new Date(Date.now() + retentionDays * DAY_MS)
+          : undefined,
+      },
+      req.audit
+    );
+    write(record).catch((err) => {
+      failedWrites += 1;
+      console.error(
+        `AUDIT_WRITE_FAILED [${req.id}] ${JSON.stringify(record)}`,
+        err
+      );
+    });
+  });
+  return next();
+};
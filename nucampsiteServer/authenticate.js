@@ -16,6 +16,15 @@ const jwt = require('jsonwebtoken'); // used to create, sign, and verify tokens
 // we'll import the config file that we just created via config.js
 const FacebookTokenStrategy = require('passport-facebook-token');
 const config = require('./config.js');
+const crypto = require('crypto');
+const RefreshToken = require('./models/refreshToken');
+const RevokedToken = require('./models/revokedToken');
+const roles = require('./roles');
+
+// Lifetimes in seconds. Access tokens stay short lived because they are only
+// revocable through the revocation list; refresh tokens can be rotated.
+const ACCESS_TOKEN_TTL = 3600;
+const REFRESH_TOKEN_TTL = config.refreshTokenTtl;
 
 // We'll export a property named local from this module and for it's value, we'll use
 // a passport method called, passport.use(), which is how we add the specific strategy
@@ -26,7 +35,60 @@ const config = require('./config.js');
 // We'll use the authenticate method provided by the passport local mongoose plugin for
 // that, which is a method on the user model, so all we have to do is pass in
 // User.authenticate()
-exports.local = passport.use(new localStrategy(User.authenticate()));
+// We wrap it so that accounts an admin has locked are turned away even when the
+// password is right, and so that throttled logins get a response of their own.
+const authenticateLocal = User.authenticate();
+exports.local = passport.use(
+  new localStrategy((username, password, done) => {
+    authenticateLocal(username, password, (err, user, info) => {
+      if (!err && !user && info) {
+        return exports
+          .loginThrottled(username, info)
+          .then((throttled) => done(throttled, false, info))
+          .catch((err) => done(err));
+      }
+      if (err || !user) {
+        return done(err, user, info);
+      }
+      if (user.locked) {
+        return done(null, false, { message: 'This account has been locked' });
+      }
+      return done(null, user);
+    });
+  })
+);
+
+// Turns passport-local-mongoose's errors for throttled logins (see models/user.js)
+// into a 429 with a Retry-After header while the account has to wait, and a 423
+// once it is locked for good, which only happens when config.login.maxAttempts
+// is set. Resolves with null for any other error.
+exports.loginThrottled = (username, error) => {
+  if (error.name === 'TooManyAttemptsError') {
+    const err = new Error(
+      'This account is locked after too many failed logins. Reset the ' +
+        'password or ask an administrator to unlock it.'
+    );
+    err.status = 423;
+    err.code = 'account_locked';
+    return Promise.resolve(err);
+  }
+  if (error.name !== 'AttemptTooSoonError') {
+    return Promise.resolve(null);
+  }
+  return User.findByUsername(username).then((user) => {
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((user ? user.loginDelay() : 0) / 1000)
+    );
+    const err = new Error(
+      `Too many failed logins, try again in ${retryAfter} seconds`
+    );
+    err.status = 429;
+    err.code = 'login_throttled';
+    err.headers = { 'Retry-After': String(retryAfter) };
+    return err;
+  });
+};
 
 // Whenever we use sessions with passport, we need to do a couple of operations on the
 // user called serialization and de-serialization. When a user has been successfully
@@ -50,7 +112,117 @@ exports.getToken = function (user) {
   // as the first argument. The second argument will be the secret key string from the
   // config module that we created (config.js). We'll supply an additional argument to
   // configure this token to expire in 3600 seconds which is an hour.
-  return jwt.sign(user, config.secretKey, { expiresIn: 3600 });
+  // Each token also gets a random jwtid (the jti claim) so that it can be put on
+  // the revocation list individually.
+  return jwt.sign(user, config.secretKey, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomBytes(16).toString('hex'),
+  });
+};
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Creates and stores a new refresh token for the user. Resolves with the raw
+// token, which is only ever handed to the client.
+exports.getRefreshToken = function (user) {
+  const token = crypto.randomBytes(40).toString('hex');
+  return RefreshToken.create({
+    tokenHash: hashToken(token),
+    user: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+  }).then(() => token);
+};
+
+// Issues an access token together with a fresh refresh token. The access token
+// carries the user's current token generation, see revokeAccessTokens().
+exports.issueTokens = function (user) {
+  return exports.getRefreshToken(user).then((refreshToken) => ({
+    token: exports.getToken({ _id: user._id, gen: user.tokenGeneration || 0 }),
+    refreshToken: refreshToken,
+  }));
+};
+
+// Exchanges a refresh token for a new access/refresh token pair. The old
+// refresh token is revoked in the process. Presenting a token that was already
+// rotated means it has leaked, so every refresh token of that user is revoked.
+// The old token is claimed with a single findOneAndUpdate before anything is
+// issued, so that of two refreshes racing with the same token only one wins and
+// the other counts as reuse.
+exports.rotateRefreshToken = function (token) {
+  const unauthorized = (message) => {
+    const err = new Error(message);
+    err.status = 401;
+    return err;
+  };
+  if (!token || typeof token !== 'string') {
+    return Promise.reject(unauthorized('A refresh token is required'));
+  }
+  const tokenHash = hashToken(token);
+  const now = new Date();
+  return RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } }
+  ).then((claimed) => {
+    if (!claimed) {
+      return RefreshToken.findOne({ tokenHash }).then((stored) => {
+        if (!stored || stored.expiresAt <= now) {
+          throw unauthorized('Invalid or expired refresh token');
+        }
+        return exports.revokeUserTokens(stored.user).then(() => {
+          throw unauthorized('Refresh token has already been used');
+        });
+      });
+    }
+    return User.findById(claimed.user, 'tokenGeneration')
+      .then((user) => exports.issueTokens(user || { _id: claimed.user }))
+      .then((tokens) =>
+        RefreshToken.updateOne(
+          { _id: claimed._id },
+          { $set: { replacedBy: hashToken(tokens.refreshToken) } }
+        ).then(() => tokens)
+      );
+  });
+};
+
+// Puts a single access token on the revocation list. Takes the decoded
+// payload so that the entry can expire together with the token.
+exports.revokeAccessToken = function (payload) {
+  if (!payload || !payload.jti) {
+    return Promise.resolve();
+  }
+  return RevokedToken.updateOne(
+    { jti: payload.jti },
+    {
+      $setOnInsert: {
+        jti: payload.jti,
+        user: payload._id,
+        expiresAt: new Date(payload.exp * 1000),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// Ends every access token of the user issued before now, for logging out
+// everywhere. The jti revocation list cannot do this, since it only knows the
+// tokens that were presented to it. Rather than a time, which the whole seconds
+// of iat cannot be compared with exactly, this moves the user on to the next
+// token generation; tokens of an earlier one are refused.
+exports.revokeAccessTokens = function (userId) {
+  return User.updateOne({ _id: userId }, { $inc: { tokenGeneration: 1 } });
+};
+
+// Tokens from before generations were added count as generation 0.
+const revokedByUser = (user, payload) =>
+  (payload.gen || 0) < (user.tokenGeneration || 0);
+
+// Revokes every outstanding refresh token of the user.
+exports.revokeUserTokens = function (userId) {
+  return RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
 };
 
 // we'll configure the json web token strategy for passport. We'll create a const named
@@ -87,34 +259,51 @@ opts.secretOrKey = config.secretKey;
 exports.jwtPassport = passport.use(
   new JwtStrategy(opts, (jwt_payload, done) => {
     console.log('JWT payload:', jwt_payload);
-    // we use .findOne() on the user's collection to try and find a user with the
-    // same id as what's in the token. We'll also set up an error callback.
-    User.findOne({ _id: jwt_payload._id }, (err, user) => {
-      // if there was an error, we'll send the error to the done callback, and
-      // say false to the second argument to say that no user was found
-      if (err) {
-        return done(err, false);
-        // if there wasn't an error then we'll check if a user was found and if so,
-        // we'll return the done callback with null as the first arugment to say no
-        // error. We'll also pass in the user document as the second argument.
-        // Passport will be using this done callback to access the user document
-        // so that it can load information from it to the request object. The done
-        // method is a function that's written in the passport-jwt-module, so it
-        // will do the work for you. We don't need to write it ourselves.
-      } else if (user) {
-        return done(null, user);
-        // The last else block is if there was no error but no user document was
-        // found that matched what's in the token. We'll return the done callback
-        // with null as the first argument to say there was no error. We'll add
-        // false as the second argument to say no user was found.
-      } else {
-        return done(null, false);
-      }
-    });
+    // Before looking the user up we check that the token has not been put on the
+    // revocation list, e.g. by logging out. Tokens issued before the jti claim was
+    // added have nothing to look up.
+    const revoked = jwt_payload.jti
+      ? RevokedToken.exists({ jti: jwt_payload.jti })
+      : Promise.resolve(false);
+    revoked.then(
+      (isRevoked) => {
+        if (isRevoked) {
+          return done(null, false);
+        }
+        // we use .findOne() on the user's collection to try and find a user with the
+        // same id as what's in the token. We'll also set up an error callback.
+        User.findOne({ _id: jwt_payload._id }, (err, user) => {
+          // if there was an error, we'll send the error to the done callback, and
+          // say false to the second argument to say that no user was found
+          if (err) {
+            return done(err, false);
+            // if there wasn't an error then we'll check if a user was found and if so,
+            // we'll return the done callback with null as the first arugment to say no
+            // error. We'll also pass in the user document as the second argument.
+            // Passport will be using this done callback to access the user document
+            // so that it can load information from it to the request object. The done
+            // method is a function that's written in the passport-jwt-module, so it
+            // will do the work for you. We don't need to write it ourselves.
+          } else if (user && !user.locked && !revokedByUser(user, jwt_payload)) {
+            return done(null, user);
+            // The last else block is if there was no error but no user document was
+            // found that matched what's in the token. We'll return the done callback
+            // with null as the first argument to say there was no error. We'll add
+            // false as the second argument to say no user was found. Locked users end
+            // up here too, as do tokens ended by logging out everywhere.
+          } else {
+            return done(null, false);
+          }
+        });
+      },
+      (err) => done(err, false)
+    );
   })
 );
 
-exports.facebookPassport = passport.use(
+// Facebook login is only available when the app has been configured with a
+// Facebook client id and secret.
+exports.facebookPassport = config.facebook.enabled && passport.use(
   new FacebookTokenStrategy(
     {
       clientID: config.facebook.clientId,
@@ -126,6 +315,9 @@ exports.facebookPassport = passport.use(
           return done(err, false);
         }
         if (!err && user) {
+          if (user.locked) {
+            return done(null, false);
+          }
           return done(null, user);
         } else {
           user = new User({ username: profile.displayName });
@@ -145,16 +337,36 @@ exports.facebookPassport = passport.use(
   )
 );
 
+// Returns the decoded payload of a valid bearer token on the request, or null if
+// there is none. Used where a token is optional, such as logging out.
+exports.getRequestToken = function (req) {
+  const token = opts.jwtFromRequest(req);
+  if (!token) {
+    return null;
+  }
+  try {
+    return jwt.verify(token, config.secretKey);
+  } catch (err) {
+    return null;
+  }
+};
+
 // we'll export verifyUser which we'll use to verify that an incoming request is from an
 // authenticated user. We'll use passport.authenticate() and give it the argument of
 // 'jwt' to say that we want to use the json web token strategy. We'll give it an option
 // of session and set it to false, so that we're not using sessions. We set this up as
 // a shortcut that we can use for other modules whenever we want to authenticate with the
-// jwt strategy.
-exports.verifyUser = passport.authenticate('jwt', { session: false });
+// jwt strategy. failWithError hands a failed authentication to the error handler, so the
+// client gets the usual JSON error instead of a bare 'Unauthorized'.
+exports.verifyUser = passport.authenticate('jwt', {
+  session: false,
+  failWithError: true,
+});
 
-exports.verifyAdmin = (req, res, next) => {
-  if (req.user.admin) {
+// Middleware factory for routes that need a permission from roles.js, to be
+// used after verifyUser, e.g. requirePermission('campsites:write').
+exports.requirePermission = (permission) => (req, res, next) => {
+  if (roles.can(req.user, permission)) {
     return next();
   } else {
     const err = new Error('You are not authorized to perform this operation!');
@@ -162,3 +374,6 @@ exports.verifyAdmin = (req, res, next) => {
     return next(err);
   }
 };
+
+// Admins hold every permission.
+exports.verifyAdmin = exports.requirePermission('*');
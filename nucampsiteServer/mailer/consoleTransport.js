@@ -0,0 +1,7 @@
+// Prints messages to stdout instead of sending them.
+exports.send = (message) => {
+  console.log(
+    `--- mail to ${message.to} ---\nFrom: ${message.from}\nSubject: ${message.subject}\n\n${message.text}\n---`
+  );
+  return Promise.resolve();
+};
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes each message as a JSON file into options.dir (mail/ by default), so
+// that messages can be inspected after the fact.
+module.exports = (options) => {
+  const dir = path.resolve(options.dir || 'mail');
+  return {
+    send: (message) =>
+      new Promise((resolve, reject) => {
+        fs.mkdir(dir, { recursive: true }, (err) => {
+          if (err) {
+            return reject(err);
+          }
+          const file = path.join(
+            dir,
+            `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+          );
+          fs.writeFile(file, JSON.stringify(message, null, 2), (err) =>
+            err ? reject(err) : resolve()
+          );
+        });
+      }),
+  };
+};
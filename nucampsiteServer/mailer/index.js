@@ -0,0 +1,38 @@
+// Outgoing mail goes through a single send() function whose transport is
+// chosen by config.mailer.transport. The console and file transports are meant
+// for local development and tests, and config refuses them in production,
+// where smtp delivers the mail. Tests can also plug in their own transport
+// with setTransport(). A transport is any object with a send(message) method
+// that returns a promise, where message is { to, subject, text }.
+const config = require('../config');
+
+const transports = {
+  console: () => require('./consoleTransport'),
+  file: (options) => require('./fileTransport')(options),
+  smtp: (options) => require('./smtpTransport')(options),
+};
+
+const mailerConfig = config.mailer;
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = mailerConfig.transport;
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport '${name}'`);
+    }
+    transport = transports[name](mailerConfig);
+  }
+  return transport;
+};
+
+exports.setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+exports.send = (message) =>
+  Promise.resolve().then(() =>
+    getTransport().send(
+      Object.assign({ from: mailerConfig.from }, message)
+    )
+  );
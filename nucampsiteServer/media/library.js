@@ -0,0 +1,94 @@
+const Campsite = require('../models/campsite');
+const Partner = require('../models/partner');
+const Promotion = require('../models/promotion');
+const getStorage = require('./storage');
+
+// The documents whose image field can point at an uploaded image. Documents in
+// the trash count too, since they may still be restored.
+const REFERENCING_MODELS = {
+  campsite: Campsite,
+  partner: Partner,
+  promotion: Promotion,
+};
+
+// Image fields hold relative URLs, with or without a leading slash.
+const urlForms = (urls) =>
+  urls.reduce(
+    (forms, url) =>
+      forms.concat(url.startsWith('/') ? [url, url.slice(1)] : [url, '/' + url]),
+    []
+  );
+
+const normalize = (url) => (url.startsWith('/') ? url.slice(1) : url);
+
+/**
+ * Finds the campsites, partners and promotions that use any of the given
+ * images. Resolves with a map from image id to an array of
+ * { type, _id, name, image } references.
+ */
+exports.findReferences = (images) => {
+  const owners = {};
+  images.forEach((image) => {
+    image.urls().forEach((url) => {
+      owners[normalize(url)] = String(image._id);
+    });
+  });
+  const references = {};
+  images.forEach((image) => {
+    references[String(image._id)] = [];
+  });
+  const urls = urlForms(Object.keys(owners));
+
+  return Promise.all(
+    Object.keys(REFERENCING_MODELS).map((type) =>
+      REFERENCING_MODELS[type]
+        .find({ image: { $in: urls } }, 'name image')
+        .withDeleted()
+        .then((docs) =>
+          docs.forEach((doc) => {
+            references[owners[normalize(doc.image)]].push({
+              type: type,
+              _id: doc._id,
+              name: doc.name,
+              image: doc.image,
+            });
+          })
+        )
+    )
+  ).then(() => references);
+};
+
+/**
+ * Points every campsite, partner and promotion that uses the image at the
+ * replacement URL instead.
+ */
+exports.replaceReferences = (image, replacement) =>
+  Promise.all(
+    Object.keys(REFERENCING_MODELS).map((type) =>
+      REFERENCING_MODELS[type].updateMany(
+        { image: { $in: urlForms(image.urls()) } },
+        { $set: { image: replacement } }
+      )
+    )
+  );
+
+/**
+ * Every image URL currently stored on a campsite, partner or promotion, without
+ * leading slashes.
+ */
+exports.referencedUrls = () =>
+  Promise.all(
+    Object.keys(REFERENCING_MODELS).map((type) =>
+      REFERENCING_MODELS[type].distinct('image').withDeleted()
+    )
+  ).then((lists) => new Set([].concat(...lists).map(normalize)));
+
+/**
+ * Removes the files of the image (the original and all variants) from storage.
+ */
+exports.deleteFiles = (image) => {
+  const storage = getStorage();
+  return Promise.all(
+    image.urls().map((url) => storage.delete(storage.keyFromUrl(url)))
+  );
+};
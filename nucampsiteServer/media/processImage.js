@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const Jimp = require('jimp');
+const config = require('../config');
+
+// Uploaded images are identified by the hash of their content, so the same
+// image uploaded twice ends up in the same files and two different images can
+// never overwrite each other. Next to the original, each image is stored in
+// the resized variants below (bounding box in pixels, never upscaled).
+const VARIANTS = {
+  thumbnail: 150,
+  medium: 600,
+  large: 1200,
+};
+
+// JPEG start of frame markers, which hold the image size. 0xc4, 0xc8 and 0xcc
+// are other segments in the same range.
+const isStartOfFrame = (marker) =>
+  marker >= 0xc0 &&
+  marker <= 0xcf &&
+  marker !== 0xc4 &&
+  marker !== 0xc8 &&
+  marker !== 0xcc;
+
+// Walks the JPEG segments up to the first start of frame.
+const jpegDimensions = (buffer) => {
+  let i = 2;
+  while (i + 9 <= buffer.length) {
+    if (buffer[i] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[i + 1];
+    if (marker === 0xff) {
+      // fill byte
+      i += 1;
+    } else if (isStartOfFrame(marker)) {
+      return {
+        height: buffer.readUInt16BE(i + 5),
+        width: buffer.readUInt16BE(i + 7),
+      };
+    } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      // markers without a length
+      i += 2;
+    } else {
+      i += 2 + buffer.readUInt16BE(i + 2);
+    }
+  }
+  return null;
+};
+
+// Magic bytes of the formats we accept. The file extension and the mimetype
+// sent by the client are not trusted. dimensions() reads the image size from
+// the header, or returns null when the header is cut short.
+const SIGNATURES = [
+  {
+    type: 'jpg',
+    mimetype: 'image/jpeg',
+    bytes: [0xff, 0xd8, 0xff],
+    dimensions: jpegDimensions,
+  },
+  {
+    type: 'png',
+    mimetype: 'image/png',
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    // the IHDR chunk comes first
+    dimensions: (buffer) =>
+      buffer.length >= 24 && buffer.toString('ascii', 12, 16) === 'IHDR'
+        ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+        : null,
+  },
+  {
+    type: 'gif',
+    mimetype: 'image/gif',
+    bytes: [0x47, 0x49, 0x46, 0x38],
+    // the logical screen, which every frame is drawn onto
+    dimensions: (buffer) =>
+      buffer.length >= 10
+        ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+        : null,
+  },
+];
+
+const detectType = (buffer) =>
+  SIGNATURES.find((signature) =>
+    signature.bytes.every((byte, i) => buffer[i] === byte)
+  );
+
+/**
+ * Verifies, resizes and stores an uploaded image held in memory through the
+ * given storage adapter (see media/storage). Resolves with the stored file's
+ * details and the URLs of all its variants; rejects with a 400 if the content
+ * is not a supported image, and with a 413 if it has more pixels than
+ * config.uploads.maxPixels, which is checked before the image is decoded.
+ */
+module.exports = (buffer, storage) => {
+  const type = detectType(buffer);
+  if (!type) {
+    const err = new Error('You can upload only JPEG, PNG or GIF images!');
+    err.status = 400;
+    return Promise.reject(err);
+  }
+  const dimensions = type.dimensions(buffer);
+  if (!dimensions) {
+    const err = new Error('The uploaded image could not be decoded');
+    err.status = 400;
+    return Promise.reject(err);
+  }
+  if (dimensions.width * dimensions.height > config.uploads.maxPixels) {
+    const err = new Error(
+      `Images can have at most ${config.uploads.maxPixels} pixels, this one ` +
+        `is ${dimensions.width}x${dimensions.height}`
+    );
+    err.status = 413;
+    return Promise.reject(err);
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(buffer)
+    .digest('hex')
+    .slice(0, 32);
+  // GIF variants are written as PNG since only the first frame is kept.
+  const variantType = type.type === 'gif' ? 'png' : type.type;
+  const variantMimetype = type.type === 'gif' ? Jimp.MIME_PNG : type.mimetype;
+  const filename = `${hash}.${type.type}`;
+  const variantNames = {};
+  Object.keys(VARIANTS).forEach((name) => {
+    variantNames[name] = `${hash}-${name}.${variantType}`;
+  });
+
+  const result = (image) => {
+    const urls = {};
+    Object.keys(variantNames).forEach((name) => {
+      urls[name] = storage.url(variantNames[name]);
+    });
+    return {
+      hash: hash,
+      filename: filename,
+      mimetype: type.mimetype,
+      size: buffer.length,
+      width: image.bitmap.width,
+      height: image.bitmap.height,
+      url: storage.url(filename),
+      variants: urls,
+    };
+  };
+
+  // Variants are stored one after the other to keep memory use down. The
+  // original goes last, so its presence means that all variants exist.
+  const store = (image) =>
+    Object.keys(VARIANTS)
+      .reduce(
+        (previous, name) =>
+          previous.then(() => {
+            const size = VARIANTS[name];
+            const variant = image.clone();
+            if (variant.bitmap.width > size || variant.bitmap.height > size) {
+              variant.scaleToFit(size, size);
+            }
+            return variant
+              .getBufferAsync(variantMimetype)
+              .then((data) =>
+                storage.put(variantNames[name], data, variantMimetype)
+              );
+          }),
+        Promise.resolve()
+      )
+      .then(() => storage.put(filename, buffer, type.mimetype));
+
+  return Jimp.read(buffer)
+    .catch(() => {
+      const err = new Error('The uploaded image could not be decoded');
+      err.status = 400;
+      throw err;
+    })
+    .then((image) =>
+      storage
+        .exists(filename)
+        .then((alreadyStored) => (alreadyStored ? null : store(image)))
+        .then(() => result(image))
+    );
+};
+
+module.exports.VARIANTS = VARIANTS;
@@ -0,0 +1,31 @@
+// Uploaded images are written through a storage adapter chosen by
+// config.storage.adapter, so that several app instances can share an object
+// store instead of a local directory. Every adapter implements:
+//
+//   put(key, buffer, contentType)  store a file, resolves when done
+//   exists(key)                    resolves with true or false
+//   delete(key)                    removes a file, missing files are ignored
+//   list()                         resolves with [{ key, size, lastModified }]
+//   url(key)                       the stable public URL of a file
+//   keyFromUrl(url)                the key of a file given its public URL
+//
+// Keys are plain file names; adapters may add a prefix of their own.
+const config = require('../../config');
+
+const adapters = {
+  local: (options) => require('./localStorage')(options),
+  s3: (options) => require('./s3Storage')(options),
+};
+
+let storage = null;
+
+module.exports = () => {
+  if (!storage) {
+    const name = config.storage.adapter;
+    if (!adapters[name]) {
+      throw new Error(`Unknown storage adapter '${name}'`);
+    }
+    storage = adapters[name](config.storage[name]);
+  }
+  return storage;
+};
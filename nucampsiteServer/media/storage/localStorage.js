@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files in a local directory, public/images by default, which the app
+// serves statically under baseUrl.
+module.exports = (options) => {
+  const dir = path.resolve(
+    options.dir || path.join(__dirname, '..', '..', 'public', 'images')
+  );
+  const baseUrl = options.baseUrl || 'images';
+
+  const file = (key) => path.join(dir, path.basename(key));
+
+  return {
+    put: (key, buffer) =>
+      new Promise((resolve, reject) =>
+        fs.mkdir(dir, { recursive: true }, (err) => {
+          if (err) {
+            return reject(err);
+          }
+          fs.writeFile(file(key), buffer, (err) =>
+            err ? reject(err) : resolve()
+          );
+        })
+      ),
+
+    exists: (key) =>
+      new Promise((resolve) => fs.access(file(key), (err) => resolve(!err))),
+
+    delete: (key) =>
+      new Promise((resolve, reject) =>
+        fs.unlink(file(key), (err) =>
+          err && err.code !== 'ENOENT' ? reject(err) : resolve()
+        )
+      ),
+
+    list: () =>
+      new Promise((resolve, reject) =>
+        fs.readdir(dir, (err, names) => {
+          if (err) {
+            return err.code === 'ENOENT' ? resolve([]) : reject(err);
+          }
+          Promise.all(
+            names.map(
+              (name) =>
+                new Promise((resolve, reject) =>
+                  fs.stat(path.join(dir, name), (err, stats) =>
+                    err ? reject(err) : resolve({ name, stats })
+                  )
+                )
+            )
+          )
+            .then((entries) =>
+              resolve(
+                entries
+                  .filter(({ stats }) => stats.isFile())
+                  .map(({ name, stats }) => ({
+                    key: name,
+                    size: stats.size,
+                    lastModified: stats.mtime,
+                  }))
+              )
+            )
+            .catch(reject);
+        })
+      ),
+
+    url: (key) => `${baseUrl}/${key}`,
+
+    keyFromUrl: (url) => path.basename(url),
+  };
+};
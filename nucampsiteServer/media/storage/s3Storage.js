@@ -0,0 +1,111 @@
+const AWS = require('aws-sdk');
+
+// Stores files in an S3 bucket or any S3-compatible object store such as
+// MinIO. Options:
+//
+//   bucket           bucket name (required)
+//   prefix           key prefix inside the bucket, e.g. 'images/'
+//   region           defaults to us-east-1
+//   endpoint         for S3-compatible stores, e.g. http://localhost:9000
+//   forcePathStyle   use http://endpoint/bucket/key URLs, needed by MinIO
+//   accessKeyId, secretAccessKey
+//                    credentials, otherwise the SDK's usual lookup is used
+//   publicUrl        base URL files are served from, e.g. a CDN; defaults to
+//                    the bucket's own URL on the endpoint
+//
+// For a local MinIO server, with a bucket that allows anonymous reads:
+//
+//   STORAGE_ADAPTER=s3
+//   S3_BUCKET=nucampsite
+//   S3_ENDPOINT=http://localhost:9000
+//   S3_FORCE_PATH_STYLE=true
+//   S3_ACCESS_KEY_ID=minioadmin
+//   S3_SECRET_ACCESS_KEY=minioadmin
+//
+// Without S3_FORCE_PATH_STYLE the bucket is addressed as a subdomain of the
+// endpoint (http://nucampsite.localhost:9000), which MinIO only supports when
+// it is started with MINIO_DOMAIN set.
+module.exports = (options) => {
+  if (!options.bucket) {
+    throw new Error('config.storage.s3.bucket is required');
+  }
+  const prefix = options.prefix || '';
+  const s3 = new AWS.S3({
+    region: options.region || 'us-east-1',
+    endpoint: options.endpoint,
+    s3ForcePathStyle: Boolean(options.forcePathStyle),
+    accessKeyId: options.accessKeyId,
+    secretAccessKey: options.secretAccessKey,
+    signatureVersion: 'v4',
+  });
+
+  // The SDK's endpoint is the one for the region unless options.endpoint was
+  // given, and knows whether it is http or https.
+  const endpoint = s3.endpoint;
+  const publicUrl = (
+    options.publicUrl ||
+    (options.forcePathStyle
+      ? `${endpoint.protocol}//${endpoint.host}/${options.bucket}`
+      : `${endpoint.protocol}//${options.bucket}.${endpoint.host}`)
+  ).replace(/\/$/, '');
+
+  const objectKey = (key) => prefix + key;
+
+  return {
+    put: (key, buffer, contentType) =>
+      s3
+        .putObject({
+          Bucket: options.bucket,
+          Key: objectKey(key),
+          Body: buffer,
+          ContentType: contentType,
+          // Content-hashed keys never change, so they can be cached forever.
+          CacheControl: 'public, max-age=31536000, immutable',
+        })
+        .promise(),
+
+    exists: (key) =>
+      s3
+        .headObject({ Bucket: options.bucket, Key: objectKey(key) })
+        .promise()
+        .then(
+          () => true,
+          (err) => {
+            if (err.code === 'NotFound' || err.statusCode === 404) {
+              return false;
+            }
+            throw err;
+          }
+        ),
+
+    delete: (key) =>
+      s3.deleteObject({ Bucket: options.bucket, Key: objectKey(key) }).promise(),
+
+    list: () => {
+      const objects = [];
+      const page = (token) =>
+        s3
+          .listObjectsV2({
+            Bucket: options.bucket,
+            Prefix: prefix,
+            ContinuationToken: token,
+          })
+          .promise()
+          .then((data) => {
+            data.Contents.forEach((object) =>
+              objects.push({
+                key: object.Key.slice(prefix.length),
+                size: object.Size,
+                lastModified: object.LastModified,
+              })
+            );
+            return data.IsTruncated ? page(data.NextContinuationToken) : objects;
+          });
+      return page();
+    },
+
+    url: (key) => `${publicUrl}/${objectKey(key)}`,
+
+    keyFromUrl: (url) => url.slice(url.lastIndexOf('/') + 1),
+  };
+};
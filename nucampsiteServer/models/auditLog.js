@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One record per successful mutating request, written by audit.js. The
+// collection is append-only: updates and deletes through Mongoose are refused,
+// and old records only go away through the TTL index on expiresAt, which is
+// set from the configured retention when the record is written.
+const auditLogSchema = new Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    // kept alongside the id so that records stay readable after the user is
+    // deleted
+    username: String,
+    method: {
+      type: String,
+      required: true,
+    },
+    // the route pattern, e.g. /campsites/:campsiteId, and the actual path
+    route: String,
+    path: String,
+    status: Number,
+    ip: String,
+    requestId: String,
+    // create, update, delete, trash, trashMany, restore, purge or purgeMany
+    // when the handler described the change, otherwise left empty
+    action: String,
+    // model name and id of the changed document
+    resource: {
+      type: String,
+      index: true,
+    },
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
+    // { field: { from, to } } for every field that changed
+    changes: Schema.Types.Mixed,
+    // number of documents affected by a bulk change
+    count: Number,
+    expiresAt: {
+      type: Date,
+      expires: 0,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+const refuse = function (next) {
+  next(new Error('Audit log records cannot be changed'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  return this.isNew ? next() : refuse(next);
+});
+[
+  'update',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'remove',
+].forEach((hook) => auditLogSchema.pre(hook, refuse));
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -2,35 +2,14 @@ const mongoose = require('mongoose');
 require('mongoose-currency').loadType(mongoose);
 const Currency = mongoose.Types.Currency;
 const Schema = mongoose.Schema;
-
-const commentSchema = new Schema(
-  {
-    rating: {
-      type: Number,
-      min: 1,
-      max: 5,
-      required: true,
-    },
-    text: {
-      type: String,
-      required: true,
-    },
-    author: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-    },
-  },
-  {
-    timestamps: true,
-  }
-);
+const softDelete = require('./softDelete');
+const versioned = require('./versioned');
 
 const campsiteSchema = new Schema(
   {
     name: {
       type: String,
       required: true,
-      unique: true,
     },
     description: {
       type: String,
@@ -53,13 +32,115 @@ const campsiteSchema = new Schema(
       type: Boolean,
       default: false,
     },
-    comments: [commentSchema],
+    // The partner that owns or sponsors the campsite, if any. Its managers may
+    // edit the campsite.
+    partner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Partner',
+      index: true,
+    },
+    // GeoJSON point, note that coordinates are [longitude, latitude]
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: (coordinates) =>
+            coordinates.length === 2 &&
+            coordinates[0] >= -180 &&
+            coordinates[0] <= 180 &&
+            coordinates[1] >= -90 &&
+            coordinates[1] <= 90,
+          message: 'coordinates must be [longitude, latitude]',
+        },
+      },
+    },
+    // Rating summary derived from the campsite's comments, kept current by the
+    // Comment model's hooks through updateRatings() below.
+    averageRating: {
+      type: Number,
+      default: 0,
+    },
+    ratingCount: {
+      type: Number,
+      default: 0,
+    },
+    // ratingHistogram[i] is the number of (i + 1)-star ratings
+    ratingHistogram: {
+      type: [Number],
+      default: [0, 0, 0, 0, 0],
+    },
   },
   {
     timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+campsiteSchema.index({ location: '2dsphere' });
+// for GET /search, where a match in the name counts more
+campsiteSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 } }
+);
+
+// Comments are stored in their own collection. This virtual lets existing
+// responses keep embedding them with populate('comments').
+campsiteSchema.virtual('comments', {
+  ref: 'Comment',
+  localField: '_id',
+  foreignField: 'campsite',
+  // only comments that passed moderation
+  match: () => mongoose.model('Comment').VISIBLE,
+  options: { sort: { createdAt: 1 } },
+});
+
+// Recomputes the rating summary of the campsite from its approved comments.
+campsiteSchema.statics.updateRatings = function (campsiteId) {
+  return mongoose
+    .model('Comment')
+    .aggregate([
+      {
+        $match: Object.assign(
+          { campsite: mongoose.Types.ObjectId(String(campsiteId)) },
+          mongoose.model('Comment').VISIBLE
+        ),
+      },
+      { $group: { _id: '$rating', count: { $sum: 1 } } },
+    ])
+    .then((groups) => {
+      const histogram = [0, 0, 0, 0, 0];
+      let count = 0;
+      let sum = 0;
+      groups.forEach((group) => {
+        histogram[group._id - 1] = group.count;
+        count += group.count;
+        sum += group._id * group.count;
+      });
+      return this.updateOne(
+        { _id: campsiteId },
+        {
+          $set: {
+            ratingCount: count,
+            // rounded to one decimal place
+            averageRating: count ? Math.round((sum / count) * 10) / 10 : 0,
+            ratingHistogram: histogram,
+          },
+        },
+        { timestamps: false, versioned: false }
+      );
+    });
+};
+
+campsiteSchema.plugin(softDelete, { unique: ['name'] });
+campsiteSchema.plugin(versioned);
+
 const Campsite = mongoose.model('Campsite', campsiteSchema);
 
 module.exports = Campsite;
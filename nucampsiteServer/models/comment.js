@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const softDelete = require('./softDelete');
+const versioned = require('./versioned');
+
+// Comments used to be embedded in their campsite document. They live in their
+// own collection so that they can be paged through and so that campsite
+// documents no longer grow with every comment. bin/migrate-comments moves
+// existing embedded comments over.
+const commentSchema = new Schema(
+  {
+    campsite: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campsite',
+      required: true,
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Only approved comments are shown publicly. Comments caught by the
+    // moderation filter or reported too often wait as pending for an admin.
+    status: {
+      type: String,
+      enum: ['approved', 'pending', 'rejected'],
+      default: 'approved',
+    },
+    // why the comment was held for review, if it was
+    flags: [String],
+    reports: [
+      new Schema(
+        {
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+          },
+          reason: String,
+        },
+        {
+          timestamps: true,
+        }
+      ),
+    ],
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ campsite: 1, createdAt: -1 });
+commentSchema.index({ campsite: 1, rating: -1 });
+commentSchema.index({ author: 1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+// for GET /search?type=comments
+commentSchema.index({ text: 'text' });
+
+// Only these user fields are shown as a comment's author.
+commentSchema.statics.AUTHOR_FIELDS = 'username firstname lastname';
+
+// Moderation details that are only shown in the admin moderation queue.
+commentSchema.statics.PUBLIC_FIELDS = '-flags -reports -moderatedBy -moderatedAt';
+
+// Condition matching publicly visible comments. Comments created before
+// moderation existed have no status and count as approved.
+commentSchema.statics.VISIBLE = { status: { $nin: ['pending', 'rejected'] } };
+
+commentSchema.methods.isVisible = function () {
+  return this.status !== 'pending' && this.status !== 'rejected';
+};
+
+// Every change to a comment refreshes its campsite's rating summary.
+const updateRatings = (comment) =>
+  mongoose.model('Campsite').updateRatings(comment.campsite);
+
+commentSchema.post('save', updateRatings);
+commentSchema.post('remove', updateRatings);
+
+commentSchema.plugin(softDelete);
+commentSchema.plugin(versioned);
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
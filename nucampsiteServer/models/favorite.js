@@ -1,11 +1,19 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// A list of favorite campsites. Every user has a default list, the one without
+// a name, which is what the /favorite routes work on, and may keep any number
+// of named lists besides, such as "Summer 2027".
 const favoriteSchema = new Schema(
   {
     user: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'user',
+      ref: 'User',
+    },
+    name: {
+      type: String,
+      trim: true,
     },
     campsites: [
       {
@@ -13,12 +21,33 @@ const favoriteSchema = new Schema(
         ref: 'Campsite',
       },
     ],
+    // Set while the list is shared. Anyone with the token can read the list
+    // through GET /favorite/shared/:token, but not change it.
+    shareToken: String,
   },
   {
     timestamps: true,
   }
 );
 
+// One list per name and user, and so only one default list.
+favoriteSchema.index({ user: 1, name: 1 }, { unique: true });
+favoriteSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+// for counting how many users favorited a campsite
+favoriteSchema.index({ campsites: 1 });
+
+// Condition matching the user's default list.
+favoriteSchema.statics.defaultList = (userId) => ({ user: userId, name: null });
+
+favoriteSchema.methods.share = function (shared) {
+  if (!shared) {
+    this.shareToken = undefined;
+  } else if (!this.shareToken) {
+    this.shareToken = crypto.randomBytes(16).toString('hex');
+  }
+  return this;
+};
+
 const Favorite = mongoose.model('Favorite', favoriteSchema);
 
 module.exports = Favorite;
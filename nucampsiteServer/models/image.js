@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const VARIANT_NAMES = ['thumbnail', 'medium', 'large'];
+
+// One document per uploaded image, identified by the hash of its content.
+// url and the variant URLs are the values that campsites, partners and
+// promotions store in their image field.
+const imageSchema = new Schema(
+  {
+    hash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    filename: {
+      type: String,
+      required: true,
+    },
+    originalname: String,
+    mimetype: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    url: {
+      type: String,
+      required: true,
+    },
+    variants: {
+      thumbnail: String,
+      medium: String,
+      large: String,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Every URL under which the image can be referenced.
+imageSchema.methods.urls = function () {
+  return [this.url]
+    .concat(VARIANT_NAMES.map((name) => this.variants[name]))
+    .filter(Boolean);
+};
+
+const Image = mongoose.model('Image', imageSchema);
+
+module.exports = Image;
@@ -1,12 +1,13 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const softDelete = require('./softDelete');
+const versioned = require('./versioned');
 
 const partnerSchema = new Schema(
   {
     name: {
       type: String,
       required: true,
-      unique: true,
     },
     image: {
       type: String,
@@ -23,9 +24,29 @@ const partnerSchema = new Schema(
   },
   {
     timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   }
 );
 
+// The partner's campsites, embedded with populate('campsites') when asked for.
+partnerSchema.virtual('campsites', {
+  ref: 'Campsite',
+  localField: '_id',
+  foreignField: 'partner',
+  options: { sort: { name: 1 } },
+});
+
+// for GET /search, where a match in the name counts more
+partnerSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 } }
+);
+
+partnerSchema.plugin(softDelete, { unique: ['name'] });
+partnerSchema.plugin(versioned);
+
 const Partner = mongoose.model('Partner', partnerSchema);
 
 module.exports = Partner;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Schema = mongoose.Schema;
+
+const RESET_TOKEN_TTL = 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use password reset tokens. As with refresh tokens only a hash of the
+// token is stored; usedAt is set once the token has been redeemed.
+const passwordResetSchema = new Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+    usedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Creates a reset token for the user, invalidating any earlier unused ones.
+// Resolves with the raw token to put into the reset message.
+passwordResetSchema.statics.issue = function (user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  return this.updateMany(
+    { user: user._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  )
+    .then(() =>
+      this.create({
+        tokenHash: hashToken(token),
+        user: user._id,
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL),
+      })
+    )
+    .then(() => token);
+};
+
+// Marks the token as used and resolves with the id of its user, or with null
+// if the token is unknown, expired or was already used. The update is a single
+// findOneAndUpdate so that a token cannot be redeemed twice concurrently.
+passwordResetSchema.statics.redeem = function (token) {
+  if (!token || typeof token !== 'string') {
+    return Promise.resolve(null);
+  }
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  ).then((reset) => (reset ? reset.user : null));
+};
+
+const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+
+module.exports = PasswordReset;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const softDelete = require('./softDelete');
+const versioned = require('./versioned');
 require('mongoose-currency').loadType(mongoose);
 const Currency = mongoose.Types.Currency;
 
@@ -8,7 +10,6 @@ const promotionSchema = new Schema(
     name: {
       type: String,
       required: true,
-      unique: true,
     },
     image: {
       type: String,
@@ -27,12 +28,102 @@ const promotionSchema = new Schema(
       required: true,
       min: 0,
     },
+    // The promotion runs from startsAt until endsAt. Without startsAt it has
+    // already started, without endsAt it never ends.
+    startsAt: Date,
+    endsAt: {
+      type: Date,
+      validate: {
+        validator: function (endsAt) {
+          return !this.startsAt || endsAt > this.startsAt;
+        },
+        message: 'must be after startsAt',
+      },
+    },
+    // Campsites the promotion applies to.
+    campsites: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campsite',
+      },
+    ],
+    // Taken off the cost of those campsites while the promotion is active:
+    // percent off for a percentage discount, a fixed amount off otherwise.
+    discount: {
+      kind: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+      },
+      percent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: [
+          function () {
+            return this.discount.kind === 'percentage';
+          },
+          'is required for a percentage discount',
+        ],
+      },
+      amount: {
+        type: Currency,
+        min: 0,
+        required: [
+          function () {
+            return this.discount.kind === 'fixed';
+          },
+          'is required for a fixed discount',
+        ],
+      },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+promotionSchema.index({ campsites: 1 });
+
+// Conditions matching the promotions that are active, scheduled (not started
+// yet) or expired at the given time, now by default.
+promotionSchema.statics.STATUSES = ['active', 'scheduled', 'expired'];
+promotionSchema.statics.withStatus = (status, at) => {
+  at = at || new Date();
+  if (status === 'scheduled') {
+    return { startsAt: { $gt: at } };
+  }
+  if (status === 'expired') {
+    return { endsAt: { $lte: at } };
+  }
+  return {
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] },
+    ],
+  };
+};
+
+// The cost after this promotion's discount, in cents like cost itself.
+promotionSchema.methods.discounted = function (cost) {
+  const discount = this.discount || {};
+  if (discount.kind === 'percentage') {
+    return Math.round(cost * (1 - discount.percent / 100));
+  }
+  if (discount.kind === 'fixed') {
+    return Math.max(0, cost - discount.amount);
+  }
+  return cost;
+};
+
+// for GET /search, where a match in the name counts more
+promotionSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 } }
+);
+
+promotionSchema.plugin(softDelete, { unique: ['name'] });
+promotionSchema.plugin(versioned);
+
 const Promotion = mongoose.model('Promotion', promotionSchema);
 
 module.exports = Promotion;
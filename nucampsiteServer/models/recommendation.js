@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// The ranked campsite recommendations for one user, best first. Written by
+// recommendations.recompute() (see bin/recompute-recommendations) and only
+// read while serving requests.
+const recommendationSchema = new Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  campsites: [
+    {
+      _id: false,
+      campsite: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campsite',
+      },
+      score: Number,
+    },
+  ],
+  computedAt: Date,
+});
+
+const Recommendation = mongoose.model('Recommendation', recommendationSchema);
+
+module.exports = Recommendation;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Refresh tokens are opaque random strings. Only a SHA-256 hash of each token
+// is stored, so a leaked database dump cannot be used to mint access tokens.
+// Expired documents are removed by MongoDB through the TTL index on expiresAt.
+const refreshTokenSchema = new Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+    revokedAt: Date,
+    // hash of the token issued when this one was rotated
+    replacedBy: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+require('mongoose-currency').loadType(mongoose);
+const Currency = mongoose.Types.Currency;
+const Schema = mongoose.Schema;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const reservationSchema = new Schema(
+  {
+    campsite: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campsite',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    guests: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    total: {
+      type: Currency,
+      required: true,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['confirmed', 'cancelled'],
+      default: 'confirmed',
+    },
+    cancelledAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reservationSchema.index({ campsite: 1, startDate: 1, endDate: 1 });
+
+reservationSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'endDate must be after startDate');
+  }
+  next();
+});
+
+// What booking lists show of the user who made each booking.
+reservationSchema.statics.USER_FIELDS = 'username firstname lastname';
+
+// Number of nights between two dates, counting partial days as a full night.
+reservationSchema.statics.nights = function (startDate, endDate) {
+  return Math.ceil((new Date(endDate) - new Date(startDate)) / DAY_MS);
+};
+
+// Confirmed reservations on the campsite whose [startDate, endDate) range
+// overlaps the given one. Pass excludeId when modifying an existing booking
+// so that it does not conflict with itself.
+reservationSchema.statics.findConflicts = function (
+  campsiteId,
+  startDate,
+  endDate,
+  excludeId
+) {
+  const query = {
+    campsite: campsiteId,
+    status: 'confirmed',
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate },
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return this.find(query);
+};
+
+// Parses the requested dates and resolves with them once the range has been
+// confirmed free. Rejects with a 400 for unusable dates, including a startDate
+// before today (UTC), and a 409 when the range overlaps an existing booking.
+// A booking that has already begun passes options.allowPastStart when its
+// startDate is not being changed.
+reservationSchema.statics.checkAvailability = function (
+  campsiteId,
+  startDate,
+  endDate,
+  excludeId,
+  options = {}
+) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (!startDate || !endDate || isNaN(start) || isNaN(end) || end <= start) {
+    const err = new Error('A valid startDate before endDate is required');
+    err.status = 400;
+    return Promise.reject(err);
+  }
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  if (!options.allowPastStart && start < today) {
+    const err = new Error('startDate cannot be in the past');
+    err.status = 400;
+    return Promise.reject(err);
+  }
+  return this.findConflicts(campsiteId, start, end, excludeId).then(
+    (conflicts) => {
+      if (conflicts.length) {
+        const err = new Error(
+          `Campsite ${campsiteId} is already booked for those dates`
+        );
+        err.status = 409;
+        throw err;
+      }
+      return { startDate: start, endDate: end };
+    }
+  );
+};
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+module.exports = Reservation;
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Checking a campsite's availability and then saving a booking are two
+// separate queries, so two overlapping bookings made at the same time could
+// both pass the check. ReservationLock.run() makes bookings of one campsite
+// take turns: it holds a lock document for the campsite while the check and
+// the save run. A lock that is never released (say the process died while
+// holding it) expires after LOCK_MS.
+const LOCK_MS = 10 * 1000;
+const RETRIES = 20;
+const RETRY_DELAY_MS = 50;
+
+const reservationLockSchema = new Schema({
+  campsite: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campsite',
+    required: true,
+    unique: true,
+  },
+  holder: String,
+  lockedUntil: Date,
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves with true once the lock is taken, false when someone else holds it.
+// With no lock document yet, two callers both try to insert one and the unique
+// index turns the loser's insert into a duplicate key error.
+reservationLockSchema.statics.acquire = function (campsiteId, holder) {
+  return this.findOneAndUpdate(
+    { campsite: campsiteId, lockedUntil: { $lte: new Date() } },
+    { $set: { holder, lockedUntil: new Date(Date.now() + LOCK_MS) } },
+    { upsert: true, new: true }
+  ).then(
+    () => true,
+    (err) => {
+      if (err.code === 11000) {
+        return false;
+      }
+      throw err;
+    }
+  );
+};
+
+reservationLockSchema.statics.release = function (campsiteId, holder) {
+  return this.updateOne(
+    { campsite: campsiteId, holder },
+    { $set: { lockedUntil: new Date(0) } }
+  );
+};
+
+/**
+ * Runs fn() while holding the campsite's lock and resolves or rejects with its
+ * result. When the lock stays busy, rejects with a 503 asking the client to
+ * try again.
+ */
+reservationLockSchema.statics.run = function (campsiteId, fn) {
+  const holder = crypto.randomBytes(12).toString('hex');
+  const attempt = (retries) =>
+    this.acquire(campsiteId, holder).then((acquired) => {
+      if (acquired) {
+        return;
+      }
+      if (!retries) {
+        const err = new Error(
+          `Campsite ${campsiteId} is being booked by someone else, try again`
+        );
+        err.status = 503;
+        err.headers = { 'Retry-After': '1' };
+        throw err;
+      }
+      return delay(RETRY_DELAY_MS).then(() => attempt(retries - 1));
+    });
+  return attempt(RETRIES).then(() =>
+    Promise.resolve()
+      .then(fn)
+      .then(
+        (result) => this.release(campsiteId, holder).then(() => result),
+        (err) =>
+          this.release(campsiteId, holder).then(() => {
+            throw err;
+          })
+      )
+  );
+};
+
+const ReservationLock = mongoose.model(
+  'ReservationLock',
+  reservationLockSchema
+);
+
+module.exports = ReservationLock;
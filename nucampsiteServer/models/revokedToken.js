@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Access tokens that were revoked before their natural expiry, keyed by the
+// token's jti claim. An entry only needs to live as long as the token itself
+// would have, so the TTL index drops it once the token has expired anyway.
+const revokedTokenSchema = new Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Schema plugin for documents that go to the trash instead of being removed.
+// Deleting sets deletedAt (and deletedBy), and every find, count and distinct
+// on the model then leaves the document out, as do aggregations. Queries that
+// need trashed documents either call .withDeleted() or put their own condition
+// on deletedAt, as the trash listing does with { deletedAt: { $ne: null } }.
+// Removing a document for good is still done with the usual delete methods.
+//
+// Paths listed in options.unique must be unique among the documents that are
+// not in the trash, so a trashed document does not hold on to its name. Their
+// unique index is partial on deletedAt being null. A database that still has
+// the old index over every document, or documents saved before this plugin
+// existed and so without a deletedAt, needs bin/migrate-unique-indexes.
+// Restoring a document whose name has been taken since fails with the usual
+// duplicate key 409.
+const READS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'count',
+  'countDocuments',
+  'distinct',
+];
+
+module.exports = (schema, options = {}) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  });
+
+  (options.unique || []).forEach((path) =>
+    schema.index(
+      { [path]: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { deletedAt: { $type: 'null' } },
+      }
+    )
+  );
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  READS.forEach((hook) =>
+    schema.pre(hook, function () {
+      if (
+        !this.getOptions().withDeleted &&
+        this.getFilter().deletedAt === undefined
+      ) {
+        this.where({ deletedAt: null });
+      }
+    })
+  );
+
+  // $geoNear has to stay the first stage, so the condition goes after it.
+  schema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    pipeline.splice(first && first.$geoNear ? 1 : 0, 0, {
+      $match: { deletedAt: null },
+    });
+  });
+
+  schema.methods.softDelete = function (userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save();
+  };
+
+  // Trashes every document matching filter that is not already in the trash.
+  schema.statics.softDeleteMany = function (filter, userId) {
+    return this.updateMany(Object.assign({}, filter, { deletedAt: null }), {
+      $set: { deletedAt: new Date(), deletedBy: userId },
+    });
+  };
+};
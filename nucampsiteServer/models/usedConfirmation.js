@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Confirmation tokens that have already carried out their operation, keyed by
+// the token's jti (see routes/confirmation.js). Like revoked access tokens, an
+// entry only has to outlive the token, after which the TTL index drops it.
+const usedConfirmationSchema = new Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const UsedConfirmation = mongoose.model(
+  'UsedConfirmation',
+  usedConfirmationSchema
+);
+
+module.exports = UsedConfirmation;
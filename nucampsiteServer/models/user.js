@@ -1,23 +1,90 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const passportLocalMongoose = require('passport-local-mongoose');
+const roles = require('../roles');
+const config = require('../config');
 
-const userSchema = new Schema({
-  firstname: {
-    type: String,
-    default: '',
-  },
-  lastname: {
-    type: String,
-    default: '',
-  },
-  facebookId: String,
-  admin: {
-    type: Boolean,
-    default: false,
+// Options for passport-local-mongoose's throttling of failed logins, see
+// config.login. After a failure the next attempt has to wait
+// interval ^ ln(attempts + 1) milliseconds, capped at maxInterval, and an
+// attempt made too soon restarts the wait.
+const LOGIN_LIMITS = {
+  limitAttempts: true,
+  interval: 100,
+  maxInterval: config.login.maxDelay * 1000,
+  maxAttempts: config.login.maxAttempts || Infinity,
+};
+
+const userSchema = new Schema(
+  {
+    firstname: {
+      type: String,
+      default: '',
+    },
+    lastname: {
+      type: String,
+      default: '',
+    },
+    // Where password reset links are sent.
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'is not a valid email address'],
+    },
+    facebookId: String,
+    admin: {
+      type: Boolean,
+      default: false,
+    },
+    // See roles.js for what each role is allowed to do.
+    roles: {
+      type: [{ type: String, enum: roles.names }],
+      default: [],
+    },
+    // Locked accounts can neither log in nor use previously issued tokens.
+    locked: {
+      type: Boolean,
+      default: false,
+    },
+    lockedAt: Date,
+    // Access tokens carry the generation they were issued in and are refused
+    // once it has moved on, see authenticate.revokeAccessTokens().
+    tokenGeneration: {
+      type: Number,
+      default: 0,
+    },
+    // The partner whose profile and campsites a partner manager may edit, see
+    // roles.js.
+    partner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Partner',
+    },
+    // Set by the moderation queue's ban-author action; the user can still log
+    // in but can no longer post comments.
+    commentBanned: {
+      type: Boolean,
+      default: false,
+    },
   },
-});
+  {
+    timestamps: true,
+  }
+);
+
+userSchema.plugin(passportLocalMongoose, LOGIN_LIMITS);
+
+// Milliseconds until the user may try to log in again.
+userSchema.methods.loginDelay = function () {
+  const wait = Math.min(
+    Math.pow(LOGIN_LIMITS.interval, Math.log(this.attempts + 1)),
+    LOGIN_LIMITS.maxInterval
+  );
+  return Math.max(0, this.last.getTime() + wait - Date.now());
+};
 
-userSchema.plugin(passportLocalMongoose);
+userSchema.methods.can = function (permission) {
+  return roles.can(this, permission);
+};
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,29 @@
+// Schema plugin that bumps the version key (__v) on every change to a
+// document. Mongoose only does that when an array is modified, but routes use
+// the version as the document's ETag (see routes/conditional.js), so it has to
+// change whenever the document does. Saving a document that was changed by
+// someone else after it was loaded fails with a VersionError.
+//
+// Updates of derived fields, which nobody edits, pass { versioned: false } as a
+// query option and leave the version alone, so that they do not make a client's
+// If-Match fail. Campsite.updateRatings() is one.
+const UPDATES = ['update', 'updateOne', 'updateMany', 'findOneAndUpdate'];
+
+module.exports = (schema) => {
+  schema.pre('save', function () {
+    if (!this.isNew && this.isModified()) {
+      this.increment();
+    }
+  });
+
+  UPDATES.forEach((hook) =>
+    schema.pre(hook, function () {
+      if (this.getOptions().versioned === false) {
+        return;
+      }
+      const update = this.getUpdate() || {};
+      update.$inc = Object.assign({}, update.$inc, { __v: 1 });
+      this.setUpdate(update);
+    })
+  );
+};
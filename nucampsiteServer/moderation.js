@@ -0,0 +1,51 @@
+// Heuristic filter for user submitted comment text. Comments that trip any of
+// the checks are held as 'pending' for an admin to review instead of being
+// published straight away. Everything can be tuned through config.moderation:
+//
+//   words            words that hold a comment for review (case-insensitive)
+//   maxLinks         number of links a comment may contain
+//   reportThreshold  number of user reports that puts a comment back in the queue
+const config = require('./config');
+
+const settings = config.moderation;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wordPatterns = settings.words.map((word) => ({
+  word,
+  pattern: new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i'),
+}));
+
+/**
+ * Returns the reasons the text looks suspicious, or an empty array if it
+ * looks fine.
+ */
+exports.check = (text) => {
+  const reasons = [];
+  text = String(text || '');
+
+  wordPatterns.forEach(({ word, pattern }) => {
+    if (pattern.test(text)) {
+      reasons.push(`contains "${word}"`);
+    }
+  });
+
+  const links = text.match(/https?:\/\/|www\./gi) || [];
+  if (links.length > settings.maxLinks) {
+    reasons.push(`contains ${links.length} links`);
+  }
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  const capitals = letters.replace(/[^A-Z]/g, '');
+  if (letters.length >= 20 && capitals.length / letters.length > 0.7) {
+    reasons.push('mostly capital letters');
+  }
+
+  if (/(.)\1{7,}/.test(text)) {
+    reasons.push('repeated characters');
+  }
+
+  return reasons;
+};
+
+exports.reportThreshold = settings.reportThreshold;
@@ -0,0 +1,79 @@
+// Campsite prices with promotions applied. While a promotion with a discount
+// is active, the campsites it is attached to cost less; when several apply to
+// the same campsite, the lowest price wins. Prices are in cents, as
+// mongoose-currency stores cost.
+const Promotion = require('./models/promotion');
+
+// Resolves with a Map of campsite id to the { cost, promotion } with the
+// lowest discounted cost, for the campsites that have one.
+const bestDiscounts = (campsites) => {
+  const ids = campsites.map((campsite) => campsite._id);
+  if (!ids.length) {
+    return Promise.resolve(new Map());
+  }
+  return Promotion.find(
+    Object.assign(
+      { campsites: { $in: ids }, 'discount.kind': { $ne: null } },
+      Promotion.withStatus('active')
+    )
+  ).then((promotions) => {
+    const best = new Map();
+    campsites.forEach((campsite) => {
+      promotions.forEach((promotion) => {
+        if (!promotion.campsites.some((id) => id.equals(campsite._id))) {
+          return;
+        }
+        const cost = promotion.discounted(campsite.cost);
+        const current = best.get(String(campsite._id));
+        if (cost < campsite.cost && (!current || cost < current.cost)) {
+          best.set(String(campsite._id), { cost, promotion });
+        }
+      });
+    });
+    return best;
+  });
+};
+
+/**
+ * Resolves with the campsites as plain objects, with discountedCost and a
+ * summary of the promotion added to those that are discounted right now.
+ * Campsites may be documents or plain objects, such as aggregation results.
+ */
+exports.apply = (campsites) =>
+  bestDiscounts(campsites).then((best) =>
+    campsites.map((campsite) => {
+      const json =
+        typeof campsite.toJSON === 'function' ? campsite.toJSON() : campsite;
+      const discount = best.get(String(campsite._id));
+      if (!discount) {
+        return json;
+      }
+      return Object.assign({}, json, {
+        discountedCost: discount.cost,
+        promotion: {
+          _id: discount.promotion._id,
+          name: discount.promotion.name,
+          discount: discount.promotion.discount,
+          endsAt: discount.promotion.endsAt,
+          updatedAt: discount.promotion.updatedAt,
+        },
+      });
+    })
+  );
+
+// Resolves with what a night at the campsite costs now.
+exports.costOf = (campsite) =>
+  bestDiscounts([campsite]).then((best) => {
+    const discount = best.get(String(campsite._id));
+    return discount ? discount.cost : campsite.cost;
+  });
+
+// Distinguishes the ETag of a discounted campsite (see routes/conditional.js),
+// whose price changes when its promotion does even if the campsite does not.
+exports.etagVariant = (priced) => {
+  const promotion = priced.promotion;
+  if (!promotion) {
+    return undefined;
+  }
+  return `${promotion._id}.${new Date(promotion.updatedAt).getTime()}`;
+};
@@ -0,0 +1,93 @@
+// Request throttling. Each limiter counts the requests of a client in fixed
+// windows and refuses the rest of a window with a 429 and a Retry-After header.
+// Limits are read from config.rateLimit by name.
+//
+// Counters are kept in a store, in memory by default. When several app
+// instances run behind a load balancer, setStore() can swap in a shared one,
+// e.g. backed by Redis, so that the limits hold across all of them. A store is
+// any object with
+//
+//   increment(key, windowMs)  counts a request, resolves with { count, resetAt }
+//   decrement(key)            takes one request back off the count
+//   get(key)                  resolves with { count, resetAt } or null
+//   reset(key)                forgets the key's counter
+//
+// where resetAt is the time in milliseconds at which the window ends. Every
+// request is counted by increment() before it is let through, so that a burst
+// of concurrent requests cannot all see the same count; a shared store has to
+// do the same, e.g. with Redis INCR.
+const config = require('../config');
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    store = require('./memoryStore')();
+  }
+  return store;
+};
+
+exports.setStore = (newStore) => {
+  store = newStore;
+};
+
+const tooMany = (name, resetAt) => {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  const err = new Error(
+    `Too many requests, try again in ${retryAfter} seconds`
+  );
+  err.status = 429;
+  err.code = 'rate_limited';
+  err.headers = { 'Retry-After': String(retryAfter) };
+  err.details = { limit: name, retryAfter };
+  return err;
+};
+
+/**
+ * Returns middleware enforcing the limit config.rateLimit[name].
+ *
+ * options.key          function of req giving the client's key, the IP address
+ *                      by default. Requests without a key are not limited.
+ * options.failuresOnly only count requests that end in an error response, for
+ *                      routes such as login where success should cost nothing.
+ *                      Requests still count while they run, so concurrent ones
+ *                      cannot get past the limit together.
+ */
+exports.limit = (name, options) => {
+  options = options || {};
+  const limit = config.rateLimit[name];
+  if (!limit || !limit.max) {
+    return (req, res, next) => next();
+  }
+  const windowMs = limit.window * 1000;
+  const keyOf = options.key || ((req) => req.ip);
+
+  return (req, res, next) => {
+    const clientKey = keyOf(req);
+    if (!clientKey) {
+      return next();
+    }
+    const key = `${name}:${clientKey}`;
+
+    return getStore()
+      .increment(key, windowMs)
+      .then((counter) => {
+        if (counter.count > limit.max) {
+          return next(tooMany(name, counter.resetAt));
+        }
+        // A request that succeeds gives its count back once it is done.
+        if (options.failuresOnly) {
+          res.on('finish', () => {
+            if (res.statusCode >= 400) return;
+            getStore()
+              .decrement(key)
+              .catch((err) =>
+                console.error(`[${req.id}] Could not uncount ${key}`, err)
+              );
+          });
+        }
+        return next();
+      })
+      .catch((err) => next(err));
+  };
+};
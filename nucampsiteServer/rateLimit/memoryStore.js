@@ -0,0 +1,47 @@
+// Keeps the counters in a Map in this process, which is fine for a single app
+// instance. Expired counters are swept out once a minute.
+module.exports = () => {
+  const counters = new Map();
+
+  const current = (key) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= Date.now()) {
+      counters.delete(key);
+      return null;
+    }
+    return counter || null;
+  };
+
+  const sweep = setInterval(() => {
+    counters.forEach((counter, key) => current(key));
+  }, 60 * 1000);
+  // The sweep alone should not keep the process alive.
+  sweep.unref();
+
+  return {
+    increment: (key, windowMs) => {
+      let counter = current(key);
+      if (!counter) {
+        counter = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return Promise.resolve(Object.assign({}, counter));
+    },
+    decrement: (key) => {
+      const counter = current(key);
+      if (counter && counter.count > 0) {
+        counter.count -= 1;
+      }
+      return Promise.resolve();
+    },
+    get: (key) => {
+      const counter = current(key);
+      return Promise.resolve(counter && Object.assign({}, counter));
+    },
+    reset: (key) => {
+      counters.delete(key);
+      return Promise.resolve();
+    },
+  };
+};
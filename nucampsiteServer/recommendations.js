@@ -0,0 +1,184 @@
+// Personalized campsite recommendations. Ranking every campsite for a user is
+// too slow to do per request, so recompute() ranks them all ahead of time (run
+// bin/recompute-recommendations periodically) and forUser() only reads the
+// stored ranking.
+//
+// Campsites are ranked by item to item similarity: two campsites are similar
+// when the same users like them, where liking means having the campsite on a
+// favorite list or rating it 4 stars or more. A user's favorites count fully
+// towards the campsites similar to them, and their ratings count in proportion
+// to how far they are from 3 stars, so campsites similar to ones the user
+// disliked move down. Campsites the user already favorited or rated are left
+// out of the ranking. Users without any favorites or ratings, and users whose ranking
+// runs out, get featured and top-rated campsites instead.
+const Campsite = require('./models/campsite');
+const Comment = require('./models/comment');
+const Favorite = require('./models/favorite');
+const Recommendation = require('./models/recommendation');
+const config = require('./config');
+
+// Weight of a rating as a sign of the user's taste, from -1 to 1.
+const ratingWeight = (rating) => (rating - 3) / 2;
+
+const add = (map, key, value) => map.set(key, (map.get(key) || 0) + value);
+
+const userMap = (map, user) => {
+  if (!map.has(user)) {
+    map.set(user, new Map());
+  }
+  return map.get(user);
+};
+
+// Resolves with a Map of each user id to a Map of campsite id to the weight of
+// the campsite in the user's taste. Ids are strings throughout. Trashed
+// campsites and comments are left out.
+const loadTastes = () =>
+  Promise.all([
+    Favorite.aggregate([
+      { $unwind: '$campsites' },
+      { $group: { _id: '$user', campsites: { $addToSet: '$campsites' } } },
+    ]),
+    Comment.find(Comment.VISIBLE, 'author campsite rating').lean(),
+    Campsite.distinct('_id'),
+  ]).then(([favorites, comments, campsiteIds]) => {
+    const live = new Set(campsiteIds.map(String));
+    const tastes = new Map();
+
+    comments.forEach((comment) => {
+      const campsite = String(comment.campsite);
+      if (!comment.author || !live.has(campsite)) return;
+      const taste = userMap(tastes, String(comment.author));
+      // A user who rated a campsite more than once is judged by their best
+      // rating.
+      taste.set(
+        campsite,
+        Math.max(
+          taste.has(campsite) ? taste.get(campsite) : -1,
+          ratingWeight(comment.rating)
+        )
+      );
+    });
+    favorites.forEach((favorite) => {
+      const user = String(favorite._id);
+      const campsites = favorite.campsites
+        .map(String)
+        .filter((id) => live.has(id));
+      const taste = userMap(tastes, user);
+      campsites.forEach((campsite) => taste.set(campsite, 1));
+    });
+    return tastes;
+  });
+
+// Cosine similarity between every two campsites liked by the same user, as a
+// Map of campsite id to a Map of campsite id to similarity.
+const similarities = (tastes) => {
+  const likes = new Map();
+  const together = new Map();
+  tastes.forEach((taste) => {
+    const liked = [];
+    taste.forEach((weight, campsite) => {
+      if (weight > 0) liked.push(campsite);
+    });
+    liked.forEach((a) => {
+      add(likes, a, 1);
+      liked.forEach((b) => {
+        if (a !== b) add(userMap(together, a), b, 1);
+      });
+    });
+  });
+  together.forEach((counts, a) =>
+    counts.forEach((count, b) =>
+      counts.set(b, count / Math.sqrt(likes.get(a) * likes.get(b)))
+    )
+  );
+  return together;
+};
+
+// The user's best campsites as [{ campsite, score }], best first.
+const rank = (taste, similar) => {
+  const scores = new Map();
+  taste.forEach((weight, campsite) => {
+    (similar.get(campsite) || new Map()).forEach((similarity, other) =>
+      add(scores, other, weight * similarity)
+    );
+  });
+  const ranked = [];
+  scores.forEach((score, campsite) => {
+    if (score > 0 && !taste.has(campsite)) {
+      ranked.push({ campsite, score });
+    }
+  });
+  return ranked
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.recommendations.size);
+};
+
+/**
+ * Recomputes and stores the recommendations of every user, replacing the
+ * previous ones. Resolves with the number of users who got any.
+ */
+exports.recompute = () =>
+  loadTastes().then((tastes) => {
+    const similar = similarities(tastes);
+    const computedAt = new Date();
+    const operations = [];
+    tastes.forEach((taste, user) => {
+      const campsites = rank(taste, similar);
+      if (campsites.length) {
+        operations.push({
+          replaceOne: {
+            filter: { user },
+            replacement: { user, campsites, computedAt },
+            upsert: true,
+          },
+        });
+      }
+    });
+    return (
+      operations.length
+        ? Recommendation.bulkWrite(operations)
+        : Promise.resolve()
+    )
+      .then(() =>
+        // Users that have no recommendations any more lose their old ones.
+        Recommendation.deleteMany({ computedAt: { $ne: computedAt } })
+      )
+      .then(() => operations.length);
+  });
+
+/**
+ * Resolves with up to limit campsites for the user, best first. Campsites the
+ * user has favorited since the last recompute are skipped.
+ */
+exports.forUser = (userId, limit) =>
+  Promise.all([
+    Recommendation.findOne({ user: userId }),
+    Favorite.distinct('campsites', { user: userId }),
+  ]).then(([recommendation, favorites]) => {
+    const exclude = favorites.map(String);
+    const ranked = (recommendation ? recommendation.campsites : [])
+      .map((entry) => String(entry.campsite))
+      .filter((id) => !exclude.includes(id))
+      .slice(0, limit);
+    return Campsite.find({ _id: { $in: ranked } })
+      .then((campsites) =>
+        // find() does not keep the order of $in.
+        campsites.sort(
+          (a, b) =>
+            ranked.indexOf(String(a._id)) - ranked.indexOf(String(b._id))
+        )
+      )
+      .then((campsites) => {
+        if (campsites.length >= limit) {
+          return campsites;
+        }
+        return Campsite.find({
+          _id: {
+            $nin: exclude.concat(campsites.map((campsite) => campsite._id)),
+          },
+        })
+          .sort({ featured: -1, averageRating: -1, ratingCount: -1 })
+          .limit(limit - campsites.length)
+          .then((popular) => campsites.concat(popular));
+      });
+  });
@@ -0,0 +1,54 @@
+// Roles and the permissions they grant. Routes ask for a permission through
+// authenticate.requirePermission() rather than for a role, so that what a role
+// may do can change here without touching the routers.
+//
+//   campsites:write      create, update and delete campsites
+//   promotions:write     create, update and delete promotions
+//   partners:write       create, update and delete partners
+//   partners:own         update the partner the user manages (user.partner)
+//                        and the campsites that belong to it
+//   images:write         upload and delete images in the library
+//   images:own           upload images, and see and delete the ones the user
+//                        uploaded as long as only their partner uses them
+//   comments:moderate    work the moderation queue, delete any comment
+//   reservations:manage  see and change everybody's reservations
+//   users:manage         list, lock, delete users and assign roles
+//   audit:read           read the audit log
+//
+// Users with the legacy admin flag are treated as having the admin role.
+const ROLES = {
+  admin: ['*'],
+  editor: ['campsites:write', 'promotions:write', 'images:write'],
+  moderator: ['comments:moderate'],
+  partnerManager: ['partners:own', 'images:own'],
+};
+
+exports.ROLES = ROLES;
+exports.names = Object.keys(ROLES);
+
+exports.rolesOf = (user) => {
+  const roles = (user && user.roles) || [];
+  return user && user.admin && !roles.includes('admin')
+    ? ['admin'].concat(roles)
+    : roles.slice();
+};
+
+exports.can = (user, permission) =>
+  exports
+    .rolesOf(user)
+    .some((role) =>
+      (ROLES[role] || []).some(
+        (granted) => granted === '*' || granted === permission
+      )
+    );
+
+// Whether the user may change the partner with partnerId and its campsites:
+// with partners:write any partner, with partners:own only their own.
+exports.managesPartner = (user, partnerId) =>
+  exports.can(user, 'partners:write') ||
+  Boolean(
+    partnerId &&
+      user.partner &&
+      exports.can(user, 'partners:own') &&
+      String(user.partner) === String(partnerId)
+  );
@@ -0,0 +1,62 @@
+const express = require('express');
+const AuditLog = require('../models/auditLog');
+const authenticate = require('../authenticate');
+const audit = require('../audit');
+const cors = require('./cors');
+const errors = require('./errors');
+const listQuery = require('./listQuery');
+
+// Read-only view of the audit log, newest first, e.g.
+// GET /audit?resource=Campsite&createdAt[gte]=2024-01-01&user=<id>
+const auditRouter = express.Router();
+
+auditRouter
+  .route('/')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(
+    cors.corsWithOptions,
+    authenticate.verifyUser,
+    authenticate.requirePermission('audit:read'),
+    listQuery.parse({
+      filters: {
+        user: 'string',
+        username: 'string',
+        method: 'string',
+        action: 'string',
+        resource: 'string',
+        resourceId: 'string',
+        route: 'string',
+        ip: 'string',
+        status: 'number',
+        createdAt: 'date',
+      },
+      sortable: ['createdAt'],
+      defaultSort: '-createdAt',
+    }),
+    (req, res, next) => {
+      listQuery
+        .findPage(AuditLog, req.listQuery)
+        .then((result) => listQuery.sendPage(req, res, result))
+        .catch((err) => next(err));
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// How many audit records this process failed to write, for monitoring. Any
+// number above 0 means the log is missing records, see audit.js.
+auditRouter
+  .route('/status')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(
+    cors.corsWithOptions,
+    authenticate.verifyUser,
+    authenticate.requirePermission('audit:read'),
+    (req, res) => {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.json({ failedWrites: audit.failedWrites() });
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+module.exports = auditRouter;
@@ -2,6 +2,16 @@ const express = require('express');
 const bodyParser = require('body-parser');
 // here we import the Campsite model from models
 const Campsite = require('../models/campsite');
+const Reservation = require('../models/reservation');
+const ReservationLock = require('../models/reservationLock');
+const Comment = require('../models/comment');
+const Favorite = require('../models/favorite');
+const Partner = require('../models/partner');
+const moderation = require('../moderation');
+const recommendations = require('../recommendations');
+// Campsites in responses carry their discounted cost while a promotion applies,
+// see pricing.js.
+const pricing = require('../pricing');
 // We'll import the authenticate module. We exported a verify user function from 
 // here, which we'll be using to verify user authentication for every endpoint in 
 // this router except for the "GET" endpoints. This is because a get request is a
@@ -9,43 +19,196 @@ const Campsite = require('../models/campsite');
 // Basically, we're using authenticate.verifyUser to verify user authentication 
 // before the client can access any http endpoint except GET.
 const authenticate = require('../authenticate');
+// Partner managers may edit the campsites of their partner, see roles.managesPartner().
+const roles = require('../roles');
+// Changes to campsites are described to the audit log through audit.changed()
+// and friends.
+const audit = require('../audit');
+const listQuery = require('./listQuery');
+const confirmation = require('./confirmation');
+// ETags and If-Match / If-None-Match handling for single campsites.
+const conditional = require('./conditional');
+// Posting comments is rate limited per user, see config.rateLimit.comments.
+const rateLimit = require('../rateLimit');
+// Write routes run the request body through validate.body() with the schemas
+// below, so only these fields ever reach Mongoose.
+const validate = require('./validate');
+// Preflight requests are answered for every route, as in the other routers.
+const cors = require('./cors');
+// Every route ends with errors.methodNotAllowed, which answers the verbs it
+// does not support with a 405 and an Allow header.
+const errors = require('./errors');
 
 // We set up a router using express.Router() function which comes from express which we 
 // imported.
 const campsiteRouter = express.Router();
 
+const commentLimit = rateLimit.limit('comments', { key: req => String(req.user._id) });
+
 // The router is basically a mini express application that has access to the use method 
 // which we can use to attach the body-parser middleware for handling request bodies 
 // formatted in json
 campsiteRouter.use(bodyParser.json());
 
+const campsiteBody = {
+    name: { type: 'string', required: true, maxLength: 100 },
+    description: { type: 'string', required: true },
+    image: { type: 'string', required: true },
+    elevation: { type: 'number', required: true },
+    cost: { type: 'currency', required: true },
+    featured: { type: 'boolean' },
+    // the partner that owns or sponsors the campsite
+    partner: { type: 'objectId' },
+    location: {
+        type: 'object',
+        fields: {
+            type: { type: 'string', required: true, enum: ['Point'] },
+            // [longitude, latitude]
+            coordinates: {
+                type: 'array',
+                required: true,
+                minLength: 2,
+                maxLength: 2,
+                items: { type: 'number', required: true }
+            }
+        }
+    }
+};
+
+const commentBody = {
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    text: { type: 'string', required: true, maxLength: 2000 }
+};
+
+const reportBody = {
+    reason: { type: 'string', maxLength: 500 }
+};
+
+const reservationBody = {
+    startDate: { type: 'date', required: true },
+    endDate: { type: 'date', required: true },
+    guests: { type: 'integer', min: 1 }
+};
+
+// Comments live in their own collection and are joined in through the campsite's
+// comments virtual. Authors are trimmed down to their public fields.
+const populateComments = {
+    path: 'comments',
+    select: Comment.PUBLIC_FIELDS,
+    populate: { path: 'author', select: Comment.AUTHOR_FIELDS }
+};
+
+// What a campsite response shows of its partner. The version is there for the
+// campsite's ETag, see etagVariant().
+const PARTNER_FIELDS = 'name image description featured __v';
+
+// A single campsite's response embeds its comments and its partner and may be
+// priced with a promotion, so its ETag carries the state of all of them (see
+// routes/conditional.js). Comments are summed up by their number and the latest
+// change to any of them; the ratings are computed from them, which is why
+// updating the ratings does not move the campsite's own version. The parts are
+// joined with '_' since conditional.js reads a '-' as the start of the variant.
+const etagVariant = (priced) => {
+    const comments = priced.comments || [];
+    const changed = Math.max(0, ...comments.map(comment => new Date(comment.updatedAt).getTime() || 0));
+    const parts = [`${comments.length}.${changed}`, pricing.etagVariant(priced)];
+    if (priced.partner) {
+        parts.push(`${priced.partner._id}.${priced.partner.__v}`);
+    }
+    return parts.filter(Boolean).join('_');
+};
+
+// Sends a single campsite the way GET /campsites/:campsiteId shows it, with its
+// comments, its partner and its current price. PUT answers with the same, so that
+// both give the same representation the same ETag.
+const sendFullCampsite = (res, campsiteId) =>
+    Campsite.findById(campsiteId)
+    .populate(populateComments)
+    .populate('partner', PARTNER_FIELDS)
+    .then(campsite => {
+        if (!campsite) {
+            const err = new Error(`Campsite ${campsiteId} not found`);
+            err.status = 404;
+            throw err;
+        }
+        return pricing.apply([campsite]);
+    })
+    .then(([priced]) => conditional.send(res, priced, etagVariant(priced)));
+
+// A campsite can only be given to a partner that exists.
+const checkPartner = validate.exists(Partner, body => body.partner ? [['partner', body.partner]] : []);
+
+// Besides users with campsites:write, the managers of the partner a campsite belongs
+// to may edit it, though they can neither move it to another partner nor feature it.
+// A campsite that does not exist is left to the route's 404.
+const requireCampsiteEditor = (req, res, next) => {
+    if (roles.can(req.user, 'campsites:write')) {
+        return next();
+    }
+    const forbidden = () => {
+        const err = new Error('You are not authorized to perform this operation!');
+        err.status = 403;
+        return next(err);
+    };
+    if (req.body.partner !== undefined || req.body.featured !== undefined) {
+        return forbidden();
+    }
+    Campsite.findById(req.params.campsiteId, 'partner')
+    .then(campsite => {
+        if (campsite && !roles.managesPartner(req.user, campsite.partner)) {
+            return forbidden();
+        }
+        return next();
+    })
+    .catch(err => next(err));
+};
+
+// Responds with the campsite and its comments, as the comment routes always have.
+const sendCampsite = (res, campsiteId) => {
+    return Campsite.findById(campsiteId)
+    .populate(populateComments)
+    .then(campsite => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(campsite);
+    });
+};
+
 // the route method takes a single string argument of '/'.
 // We wil chain our methods like this.
 campsiteRouter.route('/')
-.get((req, res, next) => {
-    // We use the Campsite.find() method which is a static method available via the 
-    // Campsite model, that will query the database for all of the documents that were 
-    // instantiated using the Campsite model. We will then chain a then/catch statement.
-    Campsite.find()
-    // Before the then method, we'll use the populate method and give it a string argument
-    // of 'comments.author'. This will tell our application, that when the campsite's 
-    // documents are retrieved, to populate the author field of the comments sub-document
-    // by finding the user document that matches the object id that's stored there.
-    .populate('comments.author')
-    .then(campsites => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        // this method will send json data to the client in the response stream and it 
-        // will automatically close the response stream afterwards. Therefore, we do not
-        // need the res.end() method.
-        res.json(campsites);
-    })
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, listQuery.parse({
+    filters: { name: 'string', featured: 'boolean', elevation: 'number', cost: 'number', averageRating: 'number', ratingCount: 'number', partner: 'string' },
+    sortable: ['name', 'elevation', 'cost', 'featured', 'averageRating', 'ratingCount', 'createdAt', 'updatedAt'],
+    sortAliases: { rating: 'averageRating' },
+    selectable: ['name', 'description', 'image', 'elevation', 'cost', 'featured', 'partner', 'location', 'comments', 'averageRating', 'ratingCount', 'ratingHistogram', 'createdAt', 'updatedAt']
+}), (req, res, next) => {
+    // ?minRating=4 is a shorthand for ?averageRating[gte]=4
+    const extraFilter = {};
+    if (req.query.minRating !== undefined) {
+        const minRating = Number(req.query.minRating);
+        if (req.query.minRating === '' || isNaN(minRating)) {
+            const err = new Error('minRating must be a number');
+            err.status = 400;
+            return next(err);
+        }
+        extraFilter.averageRating = Object.assign({}, req.listQuery.filter.averageRating, { $gte: minRating });
+    }
+    // listQuery.findPage() runs Campsite.find() with whatever filtering, sorting
+    // and paging the client asked for in the query string. We pass it a function
+    // that adds the populate call so that each campsite's comments are joined in
+    // from the comments collection, unless ?fields left them out.
+    const withComments = !req.listQuery.fields || req.listQuery.fields.includes('comments');
+    listQuery.findPage(Campsite, req.listQuery, extraFilter, query => withComments ? query.populate(populateComments) : query)
+    .then(result => pricing.apply(result.docs)
+        .then(campsites => listQuery.sendPage(req, res, result, campsites)))
     // We will then use the next() function to pass of the error to the overall error
     // handler for the overall express application. Express will handle it.
     .catch(err => next(err));
 })
 // We'll the authenticate.verifyUser middleware function right here.
-.post(authenticate.verifyUser, authenticate.verifyAdmin, (req, res, next) => {
+.post(cors.corsWithOptions, authenticate.verifyUser, authenticate.requirePermission('campsites:write'), validate.body(campsiteBody), checkPartner, (req, res, next) => {
     // We will call the Campsite.create() method to create a new campsite document 
     // and save it to the mongoDB server. We will create this document from the request
     // body which should contain the information about the campsite to post from the client.
@@ -54,127 +217,209 @@ campsiteRouter.route('/')
     Campsite.create(req.body)
     .then(campsite => {
         console.log('Campsite Created ', campsite);
+        audit.changed(req, null, campsite);
         res.statusCode = 200;
         res.setHeader('Content-Type', 'application/json');
         res.json(campsite);
     })
     .catch(err => next(err));
 })
-// We'll the authenticate.verifyUser middleware function right here.
-.put(authenticate.verifyUser, (req, res) => {
-    res.statusCode = 403;
-    res.end('PUT operation not supported on /campsites');
-})
-// We'll the authenticate.verifyUser middleware function right here.
-.delete(authenticate.verifyUser, authenticate.verifyAdmin, (req, res, next) => {
-    // We will use the Campsite.deleteMany() static method with an empty argument. 
-    // This will result in every document in the campsites collection being deleted.
-    Campsite.deleteMany()
+// We'll the authenticate.verifyUser middleware function right here. Emptying the whole
+// collection has to be confirmed with a second request, see confirmation.js.
+.delete(cors.corsWithOptions, authenticate.verifyUser, authenticate.requirePermission('campsites:write'), confirmation.required, (req, res, next) => {
+    // We will use audit.softDeleteMany() with an empty filter. This will result in every
+    // campsite being moved to the trash, from where it can be restored or purged through
+    // /trash/campsites. Their comments stay where they are and come back with them.
+    audit.softDeleteMany(req, Campsite, {})
     .then(response => {
         res.statusCode = 200;
         res.setHeader('Content-Type', 'application/json');
         res.json(response);
     })
     .catch(err => next(err));
-});
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Campsites within radiusKm (50 by default) of a point, nearest first. Each
+// campsite carries its distance from the point in kilometres.
+campsiteRouter.route('/near')
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, (req, res, next) => {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+    const radiusKm = req.query.radiusKm === undefined ? 50 : Number(req.query.radiusKm);
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (req.query.lat === undefined || req.query.lng === undefined ||
+        isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        const err = new Error('lat and lng query parameters with valid coordinates are required');
+        err.status = 400;
+        return next(err);
+    }
+    if (isNaN(radiusKm) || radiusKm <= 0) {
+        const err = new Error('radiusKm must be a positive number');
+        err.status = 400;
+        return next(err);
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        const err = new Error('limit must be a positive integer');
+        err.status = 400;
+        return next(err);
+    }
+    // $geoNear has to be the first stage of the pipeline and uses the 2dsphere
+    // index on location. Distances come back in metres.
+    Campsite.aggregate([
+        { $geoNear: {
+            near: { type: 'Point', coordinates: [lng, lat] },
+            distanceField: 'distance',
+            maxDistance: radiusKm * 1000,
+            spherical: true
+        } },
+        { $limit: Math.min(limit, 100) },
+        { $addFields: { distanceKm: { $divide: ['$distance', 1000] } } },
+        { $project: { distance: 0 } }
+    ])
+    .then(campsites => pricing.apply(campsites))
+    .then(campsites => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(campsites);
+    })
+    .catch(err => next(err));
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Campsites the logged in user is likely to enjoy and has not favorited yet, best
+// first. The ranking is computed ahead of time by bin/recompute-recommendations;
+// see recommendations.js for how.
+campsiteRouter.route('/recommended')
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, authenticate.verifyUser, (req, res, next) => {
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        const err = new Error('limit must be a positive integer');
+        err.status = 400;
+        return next(err);
+    }
+    recommendations.forUser(req.user._id, Math.min(limit, 50))
+    .then(campsites => pricing.apply(campsites))
+    .then(campsites => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(campsites);
+    })
+    .catch(err => next(err));
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
 
 campsiteRouter.route('/:campsiteId')
-.get((req, res, next) => {
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, (req, res, next) => {
     // We will the findById() static method and pass in the id stored in the route
     // parameter using req.params.campsiteId. This id is getting parsed from the http 
     // request from whatever the user from the client side typed in as the id they want 
     // to access.
-    Campsite.findById(req.params.campsiteId)
-    .populate('comments.author')
-    .then(campsite => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.json(campsite);
-    })
+    // The campsite's comments and partner are joined in as well. conditional.send()
+    // adds the campsite's version as its ETag, so a client that sends it back in
+    // If-None-Match gets a 304 when nothing changed. The ETag also changes with the
+    // campsite's comments, its partner and, while it is discounted, its promotion.
+    sendFullCampsite(res, req.params.campsiteId)
     .catch(err => next(err));
 })
-// We'll the authenticate.verifyUser middleware function right here.
-.post(authenticate.verifyUser, (req, res) => {
-    res.statusCode = 403;
-    res.end(`POST operation not supported on /campsites/${req.params.campsiteId}`);
-})
-// We'll the authenticate.verifyUser middleware function right here.
-.put(authenticate.verifyUser, authenticate.verifyAdmin, (req, res, next) => {
-    // for Campsite.findByIdAndUpdate() method, we'll pass in the first argument of the 
-    // campsite ID. The second argument, we'll pass in the $set update operator along with
-    // the data in the request body. For the third argument, we'll pass an object with 
-    // the property set to true, so that we get back information about the updated document
-    // as a result from this method.
-    Campsite.findByIdAndUpdate(req.params.campsiteId, {
+// We'll the authenticate.verifyUser middleware function right here. Managers of the
+// campsite's partner may update it too.
+.put(cors.corsWithOptions, authenticate.verifyUser, requireCampsiteEditor, validate.body(campsiteBody, { partial: true }), checkPartner, (req, res, next) => {
+    // for audit.findByIdAndUpdate(), we'll pass in the request and the model, then the
+    // campsite ID. The last argument is the $set update operator along with the data in
+    // the request body. It works like Campsite.findByIdAndUpdate() with { new: true }, so
+    // we get back the updated document, and also records the change in the audit log.
+    // The last argument refuses the update with a 412 when the client sent an If-Match
+    // header with an ETag that is no longer current.
+    audit.findByIdAndUpdate(req, Campsite, req.params.campsiteId, {
         $set: req.body
-    }, { new: true })
+    }, conditional.check(req))
     .then(campsite => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.json(campsite);
+        if (!campsite) {
+            const err = new Error(`Campsite ${req.params.campsiteId} not found`);
+            err.status = 404;
+            throw err;
+        }
+        return sendFullCampsite(res, campsite._id);
     })
     .catch(err => next(err));
 })
 // We'll the authenticate.verifyUser middleware function right here.
-.delete(authenticate.verifyUser, authenticate.verifyAdmin, (req, res, next) => {
-    // We use Campsite.findByIdAndDelete() method for deleting a single campsite by its id.
-    // We pass in the id for its argument. 
-    Campsite.findByIdAndDelete(req.params.campsiteId)
+.delete(cors.corsWithOptions, authenticate.verifyUser, authenticate.requirePermission('campsites:write'), (req, res, next) => {
+    // We find the campsite by its id and move it to the trash with audit.softDelete().
+    Campsite.findById(req.params.campsiteId)
+    .then(campsite => {
+        if (!campsite) {
+            const err = new Error(`Campsite ${req.params.campsiteId} not found`);
+            err.status = 404;
+            throw err;
+        }
+        conditional.check(req)(campsite);
+        return audit.softDelete(req, campsite);
+    })
     .then(response => {
         res.statusCode = 200;
         res.setHeader('Content-Type', 'application/json');
         res.json(response);
     })
     .catch(err => next(err));
-});
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
 
 // add API rest points for a specific campsite's comments path
 campsiteRouter.route('/:campsiteId/comments')
-.get((req, res, next) => {
-    // The client is looking for a single campsite's comments. findById() is therefore
-    // the appropriate method with a single argument of the campsite's id.
-    Campsite.findById(req.params.campsiteId)
-    .populate('comments.author')
-    .then(campsite => {
-        // we use an if statement to see if a campsite was returned. It is possible 
-        // for a null value to be returned here, for which we can use an else block.
-        if (campsite) {
-            res.statusCode = 200;
-            res.setHeader('Content-Type', 'application/json');
-            res.json(campsite.comments);
-        } else {
-            err = new Error(`Campsite ${req.params.campsiteId} not found`);
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, listQuery.parse({
+    filters: { rating: 'number' },
+    sortable: ['createdAt', 'updatedAt', 'rating'],
+    defaultSort: '-createdAt'
+}), (req, res, next) => {
+    // The client is looking for a single campsite's comments. We first make sure
+    // the campsite exists and then page through its comments, newest first unless
+    // the client asked for another order such as ?sort=-rating.
+    Campsite.exists({ _id: req.params.campsiteId })
+    .then(exists => {
+        if (!exists) {
+            const err = new Error(`Campsite ${req.params.campsiteId} not found`);
             err.status = 404;
-            return next(err);
+            throw err;
         }
+        // Comments that are waiting for moderation or were rejected are left out.
+        const filter = Object.assign({ campsite: req.params.campsiteId }, Comment.VISIBLE);
+        return listQuery.findPage(Comment, req.listQuery, filter,
+            query => query.select(Comment.PUBLIC_FIELDS).populate('author', Comment.AUTHOR_FIELDS));
     })
+    .then(result => listQuery.sendPage(req, res, result))
     .catch(err => next(err));
 })
 // We'll the authenticate.verifyUser middleware function right here.
-.post(authenticate.verifyUser, (req, res, next) => {
+.post(cors.corsWithOptions, authenticate.verifyUser, commentLimit, validate.body(commentBody), (req, res, next) => {
+    if (req.user.commentBanned) {
+        const err = new Error('You are not allowed to post comments!');
+        err.status = 403;
+        return next(err);
+    }
     Campsite.findById(req.params.campsiteId)
     .then(campsite => {
         if (campsite) {
-            // we want to add the id of the current user to the request body as the
-            // author before it gets pushed into the campsite.comments array. We 
-            // can do that here.
-            req.body.author = req.user._id;
-            // We push the new comment inside the comments array. We will assume that 
-            // the req.body has a comment in it, and the body-parser middleware should 
-            // have already formatted it so that we can use it like this. 
-            campsite.comments.push(req.body);
-            // The line above has only changed the comments array that's in the application's
-            // memory, and not the comment's sub-document that's in the mongoDB database.
-            // To save this change, we need to use the save() method.
-            campsite.save()
-            .then(campsite => {
-                res.statusCode = 200;
-                res.setHeader('Content-Type', 'application/json');
-                res.json(campsite);
+            // We create the comment in the comments collection, with the current user
+            // as its author. The Comment model then updates the campsite's ratings.
+            // Text that trips the moderation filter is held back for a moderator.
+            const flags = moderation.check(req.body.text);
+            return Comment.create({
+                campsite: campsite._id,
+                rating: req.body.rating,
+                text: req.body.text,
+                author: req.user._id,
+                status: flags.length ? 'pending' : 'approved',
+                flags: flags
             })
-            .catch(err => next(err));
+            .then(() => sendCampsite(res, req.params.campsiteId));
         } else {
-            err = new Error(`Campsite ${req.params.campsiteId} not found`);
+            const err = new Error(`Campsite ${req.params.campsiteId} not found`);
             err.status = 404;
             return next(err);
         }
@@ -182,139 +427,239 @@ campsiteRouter.route('/:campsiteId/comments')
     .catch(err => next(err));
 })
 // We'll the authenticate.verifyUser middleware function right here.
-.put(authenticate.verifyUser, (req, res) => {
-    res.statusCode = 403;
-    res.end(`PUT operation not supported on /campsites/${req.params.campsiteId}/comments`);
-})
-// We'll the authenticate.verifyUser middleware function right here.
-.delete(authenticate.verifyUser, authenticate.verifyAdmin, (req, res, next) => {
+.delete(cors.corsWithOptions, authenticate.verifyUser, authenticate.requirePermission('comments:moderate'), confirmation.required, (req, res, next) => {
     Campsite.findById(req.params.campsiteId)
     .then(campsite => {
         if (campsite) {
-            // Here we will delete every comment in this campsite's comment's array.
-            // We will use a for loop to achieve this. 
-            for (let i = (campsite.comments.length-1); i >= 0; i--) {
-                // We can access each comment in the comments subdocument array one at
-                // a time using the id() method. We can chain the remove() method to 
-                // remove that comment.
-                campsite.comments.id(campsite.comments[i]._id).remove();
-            }
-            campsite.save()
-            .then(campsite => {
-                res.statusCode = 200;
-                res.setHeader('Content-Type', 'application/json');
-                res.json(campsite);
-            })
-            .catch(err => next(err));
+            // Here we will move every comment of this campsite to the trash. That skips
+            // the Comment hooks, so the ratings are reset explicitly.
+            return audit.softDeleteMany(req, Comment, { campsite: campsite._id })
+            .then(() => Campsite.updateRatings(campsite._id))
+            .then(() => sendCampsite(res, req.params.campsiteId));
         } else {
-            err = new Error(`Campsite ${req.params.campsiteId} not found`);
+            const err = new Error(`Campsite ${req.params.campsiteId} not found`);
             err.status = 404;
             return next(err);
         }
     })
     .catch(err => next(err));
-});
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
 
-campsiteRouter.route('/:campsiteId/comments/:commentId')
-.get((req, res, next) => {
-    Campsite.findById(req.params.campsiteId)
-    .populate('comments.author')
-    .then(campsite => {
-        if (campsite && campsite.comments.id(req.params.commentId)) {
-            res.statusCode = 200;
-            res.setHeader('Content-Type', 'application/json');
-            res.json(campsite.comments.id(req.params.commentId));
-        } else if (!campsite) {
-            err = new Error(`Campsite ${req.params.campsiteId} not found`);
+// Finds the comment named in the route, making sure it belongs to the campsite
+// named in the route. Responds with a 404 for either one missing.
+const findComment = (req) => {
+    return Promise.all([
+        Campsite.exists({ _id: req.params.campsiteId }),
+        Comment.findOne({ _id: req.params.commentId, campsite: req.params.campsiteId })
+    ])
+    .then(([campsiteExists, comment]) => {
+        if (!campsiteExists) {
+            const err = new Error(`Campsite ${req.params.campsiteId} not found`);
             err.status = 404;
-            return next(err);
-        } else {
-            err = new Error(`Comment ${req.params.commentId} not found`);
+            throw err;
+        }
+        if (!comment) {
+            const err = new Error(`Comment ${req.params.commentId} not found`);
             err.status = 404;
-            return next(err);
+            throw err;
+        }
+        return comment;
+    });
+};
+
+campsiteRouter.route('/:campsiteId/comments/:commentId')
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, (req, res, next) => {
+    findComment(req)
+    .then(comment => {
+        if (!comment.isVisible()) {
+            const err = new Error(`Comment ${req.params.commentId} not found`);
+            err.status = 404;
+            throw err;
         }
+        return Comment.findById(comment._id)
+        .select(Comment.PUBLIC_FIELDS)
+        .populate('author', Comment.AUTHOR_FIELDS);
+    })
+    .then(comment => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(comment);
     })
     .catch(err => next(err));
 })
 // We'll the authenticate.verifyUser middleware function right here.
-.post(authenticate.verifyUser, (req, res) => {
-    res.statusCode = 403;
-    res.end(`POST operation not supported on /campsites/${req.params.campsiteId}/comments/${req.params.commentId}`);
-})
-// We'll the authenticate.verifyUser middleware function right here.
-.put(authenticate.verifyUser, (req, res, next) => {
-        Campsite.findById(req.params.campsiteId)
-        .then(campsite => {
-            if (campsite && campsite.comments.id(req.params.commentId)) {
-                const author_id_from_request = req.user._id;
-                const comment_id_from_request = req.params.commentId;
-                const comment_from_database = campsite.comments.id(comment_id_from_request);
-                const author_id_from_comment_from_database = comment_from_database.author._id;
-                if (author_id_from_request.equals(author_id_from_comment_from_database)) {
-                    if (req.body.rating) {
-                        campsite.comments.id(req.params.commentId).rating = req.body.rating;
-                    }
-                    if (req.body.text) {
-                        campsite.comments.id(req.params.commentId).text = req.body.text;
-                    }
-                    campsite.save()
-                    .then(campsite => {
-                        res.statusCode = 200;
-                        res.setHeader('Content-Type', 'application/json');
-                        res.json(campsite);
-                    })
-                    .catch(err => next(err));
-                } else {
-                    err = new Error('You are not authorized to delete this comment!');
-                    err.status = 403;
-                    return next(err);
-                }
-            } else if (!campsite) {
-                err = new Error(`Campsite ${req.params.campsiteId} not found`);
-                err.status = 404;
-                return next(err);
-            } else {
-                err = new Error(`Comment ${req.params.commentId} not found`);
-                err.status = 404;
-                return next(err);
+.put(cors.corsWithOptions, authenticate.verifyUser, validate.body(commentBody, { partial: true }), (req, res, next) => {
+    findComment(req)
+    .then(comment => {
+        if (!req.user._id.equals(comment.author)) {
+            const err = new Error('You are not authorized to update this comment!');
+            err.status = 403;
+            throw err;
+        }
+        if (req.body.rating) {
+            comment.rating = req.body.rating;
+        }
+        if (req.body.text) {
+            comment.text = req.body.text;
+            // Edited text goes through the moderation filter again.
+            const flags = moderation.check(comment.text);
+            if (flags.length && comment.status === 'approved') {
+                comment.status = 'pending';
+                comment.flags = flags;
             }
-        })
-        .catch(err => next(err));
+        }
+        return comment.save();
+    })
+    .then(() => sendCampsite(res, req.params.campsiteId))
+    .catch(err => next(err));
 })
 // We'll the authenticate.verifyUser middleware function right here.
-.delete(authenticate.verifyUser, (req, res, next) => {
+.delete(cors.corsWithOptions, authenticate.verifyUser, (req, res, next) => {
+    findComment(req)
+    .then(comment => {
+        if (!req.user._id.equals(comment.author) && !req.user.can('comments:moderate')) {
+            const err = new Error('You are not authorized to delete this comment!');
+            err.status = 403;
+            throw err;
+        }
+        return audit.softDelete(req, comment);
+    })
+    .then(() => sendCampsite(res, req.params.campsiteId))
+    .catch(err => next(err));
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Lets users report a comment as abusive. Every user can report a comment once,
+// and a comment that collects enough reports goes back into the moderation queue.
+campsiteRouter.route('/:campsiteId/comments/:commentId/reports')
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.post(cors.corsWithOptions, authenticate.verifyUser, validate.body(reportBody), (req, res, next) => {
+    findComment(req)
+    .then(comment => {
+        if (!comment.isVisible()) {
+            const err = new Error(`Comment ${req.params.commentId} not found`);
+            err.status = 404;
+            throw err;
+        }
+        if (comment.reports.some(report => req.user._id.equals(report.user))) {
+            const err = new Error('You have already reported this comment!');
+            err.status = 409;
+            throw err;
+        }
+        comment.reports.push({ user: req.user._id, reason: req.body.reason });
+        if (comment.reports.length >= moderation.reportThreshold) {
+            comment.status = 'pending';
+        }
+        return comment.save();
+    })
+    .then(() => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json({ success: true, status: 'Thank you, the comment has been reported.' });
+    })
+    .catch(err => next(err));
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// How popular a campsite is: the number of users who have it on at least one of
+// their favorite lists.
+campsiteRouter.route('/:campsiteId/favorites/count')
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, (req, res, next) => {
+    Campsite.exists({ _id: req.params.campsiteId })
+    .then(exists => {
+        if (!exists) {
+            const err = new Error(`Campsite ${req.params.campsiteId} not found`);
+            err.status = 404;
+            throw err;
+        }
+        return Favorite.distinct('user', { campsites: req.params.campsiteId });
+    })
+    .then(users => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json({ campsite: req.params.campsiteId, count: users.length });
+    })
+    .catch(err => next(err));
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Booked date ranges for a campsite, so clients can grey out unavailable days
+// before attempting a reservation. Only the dates are exposed here.
+campsiteRouter.route('/:campsiteId/availability')
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, (req, res, next) => {
+    const query = { campsite: req.params.campsiteId, status: 'confirmed' };
+    if (req.query.from) {
+        query.endDate = { $gt: new Date(req.query.from) };
+    }
+    if (req.query.to) {
+        query.startDate = { $lt: new Date(req.query.to) };
+    }
+    Reservation.find(query, 'startDate endDate')
+    .sort('startDate')
+    .then(reservations => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(reservations);
+    })
+    .catch(err => next(err));
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
+
+campsiteRouter.route('/:campsiteId/reservations')
+.options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+.get(cors.cors, authenticate.verifyUser, (req, res, next) => {
+    // Staff who manage reservations see every booking for the campsite,
+    // everybody else only their own.
+    const query = { campsite: req.params.campsiteId };
+    if (!req.user.can('reservations:manage')) {
+        query.user = req.user._id;
+    }
+    Reservation.find(query)
+    .populate('user', Reservation.USER_FIELDS)
+    .sort('startDate')
+    .then(reservations => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(reservations);
+    })
+    .catch(err => next(err));
+})
+.post(cors.corsWithOptions, authenticate.verifyUser, validate.body(reservationBody), (req, res, next) => {
     Campsite.findById(req.params.campsiteId)
     .then(campsite => {
-        const author_id_from_request = req.user._id;
-        const comment_id_from_request = req.params.commentId;
-        const comment_from_database = campsite.comments.id(comment_id_from_request);
-        const author_id_from_comment_from_database = comment_from_database.author._id;
-        if (author_id_from_request.equals(author_id_from_comment_from_database) || req.user.admin) {
-            if (campsite && campsite.comments.id(req.params.commentId)) {
-                campsite.comments.id(req.params.commentId).remove();
-                campsite.save()
-                .then(campsite => {
-                    res.statusCode = 200;
-                    res.setHeader('Content-Type', 'application/json');
-                    res.json(campsite);
-                })
-                .catch(err => next(err));
-            } else {
-                err = new Error('You are not authorized to delete this comment!');
-                err.status = 403;
-                return next(err);
-            }
-        } else if (!campsite) {
-            err = new Error(`Campsite ${req.params.campsiteId} not found`);
+        if (!campsite) {
+            const err = new Error(`Campsite ${req.params.campsiteId} not found`);
             err.status = 404;
-            return next(err);
-        } else {
-            err = new Error(`Comment ${req.params.commentId} not found`);
-            err.status = 404;
-            return next(err);
+            throw err;
         }
+        // The lock keeps a concurrent booking of the campsite from slipping in
+        // between the availability check and the create.
+        return ReservationLock.run(campsite._id, () => Promise.all([
+            Reservation.checkAvailability(campsite._id, req.body.startDate, req.body.endDate),
+            pricing.costOf(campsite)
+        ])
+        .then(([range, cost]) => Reservation.create({
+            campsite: campsite._id,
+            user: req.user._id,
+            startDate: range.startDate,
+            endDate: range.endDate,
+            guests: req.body.guests,
+            // cost is stored in cents by mongoose-currency, so the total is too. A
+            // promotion running at the time of booking lowers it.
+            total: cost * Reservation.nights(range.startDate, range.endDate)
+        })));
+    })
+    .then(reservation => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(reservation);
     })
     .catch(err => next(err));
-});
+})
+.all(cors.corsWithOptions, errors.methodNotAllowed);
 
 module.exports = campsiteRouter;
\ No newline at end of file
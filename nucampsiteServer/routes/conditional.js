@@ -0,0 +1,60 @@
+// Conditional requests on single documents. The ETag of a document is its
+// version (see models/versioned.js), so a client that sends it back
+//
+//   with If-None-Match on a GET gets a 304 while its copy is current, and
+//   with If-Match on a PUT or DELETE gets a 412 if the document has changed
+//   since it was read, instead of overwriting someone else's edit.
+//
+// If-Match is optional; writes without it behave as before.
+//
+// A response that also depends on other documents, such as a campsite priced
+// with a promotion, adds a variant to the ETag: "<version>-<variant>". If-Match
+// only compares the version part, since that is what a write can change.
+
+const etagOf = (doc, variant) =>
+  variant ? `"${doc.__v}-${variant}"` : `"${doc.__v}"`;
+
+// The entity tags listed in a header, with weak tags compared as strong ones
+// and variants left out.
+const tagsOf = (header) =>
+  header.split(',').map((tag) =>
+    tag
+      .trim()
+      .replace(/^W\//, '')
+      .replace(/-[^"]*"$/, '"')
+  );
+
+const stale = (doc) => {
+  const err = new Error(
+    `${doc.constructor.modelName} ${doc._id} has been changed since you read ` +
+      'it, get it again and reapply your changes'
+  );
+  err.status = 412;
+  err.code = 'precondition_failed';
+  return err;
+};
+
+/**
+ * Throws a 412 when the request has an If-Match header that does not match
+ * the current version of doc. Pass it as the precondition of
+ * audit.findByIdAndUpdate(), or call it before changing a loaded document.
+ */
+exports.check = (req) => (doc) => {
+  const ifMatch = req.get('If-Match');
+  if (
+    ifMatch &&
+    ifMatch.trim() !== '*' &&
+    !tagsOf(ifMatch).includes(etagOf(doc))
+  ) {
+    throw stale(doc);
+  }
+};
+
+// Responds with doc and its ETag. Express answers a GET with a 304 by itself
+// when the ETag matches the request's If-None-Match.
+exports.send = (res, doc, variant) => {
+  res.statusCode = 200;
+  res.setHeader('ETag', etagOf(doc, variant));
+  res.setHeader('Content-Type', 'application/json');
+  res.json(doc);
+};
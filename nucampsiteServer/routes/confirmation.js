@@ -0,0 +1,92 @@
+// Two-step confirmation for destructive operations such as bulk deletes and
+// purging the trash. The first request is refused with a 428 whose details
+// carry a confirmToken; repeating the request within five minutes with that
+// token in an X-Confirm-Token header (or ?confirm=) carries it out.
+//
+// Tokens are signed rather than stored. Each one is only good for the user,
+// method and path it was issued for, and only once: carrying out the request
+// records the token's jti in UsedConfirmation, and the unique index there
+// turns a second use, even a concurrent one, into a fresh 428. The token is
+// used up even if the operation it confirmed then fails.
+const crypto = require('crypto');
+const config = require('../config');
+const UsedConfirmation = require('../models/usedConfirmation');
+
+const TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const sign = (req, expires, jti) =>
+  crypto
+    .createHmac('sha256', config.secretKey)
+    .update(
+      [
+        String(req.user._id),
+        req.method,
+        req.baseUrl + req.path,
+        expires,
+        jti,
+      ].join('\n')
+    )
+    .digest('hex');
+
+const isValid = (req, expires, jti, signature) => {
+  if (!signature || !(Number(expires) > Date.now())) {
+    return false;
+  }
+  const expected = Buffer.from(sign(req, expires, jti));
+  const given = Buffer.from(signature);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+};
+
+// Resolves with true when the token is valid and this request is the first to
+// use it.
+const claim = (req, token) => {
+  const [expires, jti, signature] = String(token).split('.');
+  if (!isValid(req, expires, jti, signature)) {
+    return Promise.resolve(false);
+  }
+  return UsedConfirmation.create({
+    jti,
+    user: req.user._id,
+    expiresAt: new Date(Number(expires)),
+  }).then(
+    () => true,
+    (err) => {
+      if (err.code === 11000) {
+        return false;
+      }
+      throw err;
+    }
+  );
+};
+
+// Middleware for routes that must be confirmed, used after verifyUser.
+exports.required = (req, res, next) => {
+  const token = req.get('X-Confirm-Token') || req.query.confirm;
+  (token ? claim(req, token) : Promise.resolve(false)).then(
+    (claimed) => {
+      if (claimed) {
+        return next();
+      }
+      const expires = Date.now() + TOKEN_TTL_MS;
+      const jti = crypto.randomBytes(12).toString('hex');
+      const err = new Error(
+        token
+          ? 'Invalid, expired or already used confirmation token, confirm ' +
+            'again with the new one'
+          : `Confirm ${req.method} ${req.originalUrl.split('?')[0]} by ` +
+            'repeating the request with the confirmToken in an ' +
+            'X-Confirm-Token header'
+      );
+      err.status = 428;
+      err.code = 'confirmation_required';
+      err.details = {
+        confirmToken: `${expires}.${jti}.${sign(req, expires, jti)}`,
+        expiresAt: new Date(expires),
+      };
+      return next(err);
+    },
+    (err) => next(err)
+  );
+};
@@ -1,16 +1,27 @@
 const cors = require('cors');
+const config = require('../config');
 
-const whitelist = ['http://localhost:3000', 'https://localhost:3443'];
+const whitelist = config.corsOrigins;
+// Pagination metadata from listQuery, ETags for conditional requests and the
+// Retry-After of a 429 are sent in headers, which browsers hide from
+// cross-origin scripts unless they are listed here.
+const exposedHeaders = [
+  'X-Total-Count',
+  'X-Next-Cursor',
+  'Link',
+  'ETag',
+  'Retry-After',
+];
 const corsOptionsDelegate = (req, callback) => {
   let corsOptions;
   console.log(req.header('Origin'));
   if (whitelist.indexOf(req.header('Origin')) !== -1) {
-    corsOptions = { origin: true };
+    corsOptions = { origin: true, exposedHeaders };
   } else {
     corsOptions = { origin: false };
   }
   callback(null, corsOptions);
 };
 
-exports.cors = cors();
+exports.cors = cors({ exposedHeaders });
 exports.corsWithOptions = cors(corsOptionsDelegate);
@@ -0,0 +1,173 @@
+// Error handling shared by the whole API. Every error that reaches next(err)
+// is sent back as
+//
+//   { "error": { "code", "message", "status", "requestId", "details"? } }
+//
+// unless the client explicitly prefers HTML, in which case the error view is
+// rendered as before. Handlers keep creating errors the usual way, with an
+// err.status and optionally err.details, plus an err.code when the status
+// alone is not specific enough. Mongoose and MongoDB errors are translated
+// here so routers do not have to.
+const crypto = require('crypto');
+const http = require('http');
+
+// Turns an HTTP status into a machine readable code, e.g. 404 -> not_found.
+const codeFor = (status) =>
+  (http.STATUS_CODES[status] || 'Error')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_');
+
+// Maps Mongoose and MongoDB errors onto client errors. Anything else keeps
+// its own status, or 500 if it has none.
+const classify = (err) => {
+  if (err.name === 'ValidationError' && err.errors) {
+    const details = {};
+    Object.keys(err.errors).forEach((path) => {
+      details[path] = err.errors[path].message;
+    });
+    return { status: 400, code: 'validation_failed', details };
+  }
+  if (err.name === 'CastError') {
+    // A malformed _id comes from looking a document up by the id in the URL,
+    // so it names a resource that cannot exist. Malformed values anywhere
+    // else came from the body or query string and are the client's mistake.
+    return err.path === '_id'
+      ? { status: 404, code: 'not_found', message: `${err.value} not found` }
+      : {
+          status: 400,
+          code: 'invalid_value',
+          message: `Invalid value for ${err.path}: ${err.value}`,
+        };
+  }
+  if (err.name === 'VersionError') {
+    // Saving a document that someone else changed after it was loaded, see
+    // models/versioned.js.
+    return {
+      status: 412,
+      code: 'precondition_failed',
+      message:
+        'The document has been changed since it was read, get it again and ' +
+        'reapply your changes',
+    };
+  }
+  if (err.code === 11000 || err.code === 11001) {
+    return {
+      status: 409,
+      code: 'duplicate_key',
+      message: 'A record with the same unique value already exists',
+      details: err.keyValue,
+    };
+  }
+  const status = err.status || err.statusCode || 500;
+  // Only our own snake_case codes are passed on, not library codes such as
+  // ENOENT or LIMIT_FILE_SIZE.
+  const code =
+    status < 500 &&
+    typeof err.code === 'string' &&
+    /^[a-z]+(_[a-z]+)*$/.test(err.code)
+      ? err.code
+      : codeFor(status);
+  return { status, code };
+};
+
+// Gives every request an id, reusing the one set by a proxy when present, so
+// that an error reported by a client can be found in the logs.
+exports.requestId = (req, res, next) => {
+  req.id = req.get('X-Request-Id') || crypto.randomBytes(12).toString('hex');
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+const routeMethods = (route) =>
+  Object.keys(route.methods)
+    .filter((method) => method !== '_all')
+    .map((method) => method.toUpperCase());
+
+const notAllowed = (req, res, next, methods) => {
+  if (methods.includes('GET') && !methods.includes('HEAD')) {
+    methods.push('HEAD');
+  }
+  res.setHeader('Allow', methods.join(', '));
+  const err = new Error(
+    `${req.method} operation not supported on ${req.originalUrl.split('?')[0]}`
+  );
+  err.status = 405;
+  return next(err);
+};
+
+// Terminates a route for any verb it does not handle. Add it last with
+// .all() so the Allow header lists the verbs registered before it.
+exports.methodNotAllowed = (req, res, next) =>
+  notAllowed(req, res, next, routeMethods(req.route));
+
+// The same for routers that register each verb of a path on its own, as in
+// router.get(path, ...) and router.put(path, ...). Added as the router's last
+// middleware, it answers a request whose path some route of router matches
+// with a 405 listing the verbs of all those routes, and passes anything else
+// on. OPTIONS is left to the router's own handling.
+exports.methodNotAllowedIn = (router) => (req, res, next) => {
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+  const methods = new Set();
+  router.stack.forEach((layer) => {
+    if (!layer.route || !layer.match(req.path)) {
+      return;
+    }
+    // a catch-all OPTIONS route does not make every path exist
+    const matched = routeMethods(layer.route);
+    if (matched.some((method) => method !== 'OPTIONS')) {
+      matched.forEach((method) => methods.add(method));
+    }
+  });
+  if (!methods.size) {
+    return next();
+  }
+  return notAllowed(req, res, next, Array.from(methods));
+};
+
+exports.notFound = (req, res, next) => {
+  const err = new Error(`${req.originalUrl.split('?')[0]} not found`);
+  err.status = 404;
+  return next(err);
+};
+
+// Express recognises error handlers by their four arguments, so next has to
+// stay in the signature even though it is never called.
+exports.handler = (err, req, res, next) => {
+  const development = req.app.get('env') === 'development';
+  const classified = classify(err);
+  const status = classified.status;
+  // Server errors may carry internals, so outside development only their
+  // status is reported.
+  const message =
+    status >= 500 && !development
+      ? http.STATUS_CODES[status]
+      : classified.message || err.message;
+
+  if (status >= 500) {
+    console.error(`[${req.id}]`, err);
+  }
+
+  res.status(status);
+  // e.g. Retry-After on a 429
+  if (err.headers) {
+    res.set(err.headers);
+  }
+  if (req.accepts(['json', 'html']) === 'html') {
+    res.locals.message = message;
+    res.locals.error = development ? err : {};
+    return res.render('error');
+  }
+  const body = {
+    code: classified.code,
+    message,
+    status,
+    requestId: req.id,
+  };
+  const details = classified.details || err.details;
+  if (details !== undefined) {
+    body.details = details;
+  }
+  res.json({ error: body });
+};
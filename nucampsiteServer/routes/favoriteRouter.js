@@ -1,17 +1,106 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const Favorite = require('../models/favorite');
+const Campsite = require('../models/campsite');
 const authenticate = require('../authenticate');
 const cors = require('./cors');
+const errors = require('./errors');
+const validate = require('./validate');
 const favoriteRouter = express.Router();
 
 favoriteRouter.use(bodyParser.json());
 
+// The id patterns keep these routes from shadowing /lists and /shared.
+const campsiteIdPath = '/:campsiteId([0-9a-fA-F]{24})';
+const listIdPath = '/lists/:listId([0-9a-fA-F]{24})';
+
+// A list of campsites to add, e.g. [{ "_id": "..." }]
+const favoritesBody = {
+  type: 'array',
+  required: true,
+  items: {
+    type: 'object',
+    required: true,
+    fields: { _id: { type: 'objectId', required: true } },
+  },
+};
+// A named list. shared: true gives it a shareToken, false takes it away.
+const listBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  shared: { type: 'boolean' },
+};
+
+// Only existing campsites can be added to a list. Checks the campsites in a
+// favoritesBody.
+const checkCampsites = validate.exists(Campsite, (body) =>
+  body.map((campsite, i) => [`${i}._id`, campsite._id])
+);
+
+// The same for the campsite named in the route.
+const checkCampsite = (req, res, next) => {
+  Campsite.exists({ _id: req.params.campsiteId })
+    .then((exists) => {
+      if (!exists) {
+        const err = new Error(`Campsite ${req.params.campsiteId} not found`);
+        err.status = 404;
+        return next(err);
+      }
+      return next();
+    })
+    .catch((err) => next(err));
+};
+
+// Loads the user's list named in the route onto req.favoriteList. Lists of
+// other users are reported as missing.
+const loadList = (req, res, next) => {
+  Favorite.findOne({ _id: req.params.listId, user: req.user._id })
+    .then((list) => {
+      if (!list) {
+        const err = new Error(`Favorite list ${req.params.listId} not found`);
+        err.status = 404;
+        return next(err);
+      }
+      req.favoriteList = list;
+      return next();
+    })
+    .catch((err) => next(err));
+};
+
+const listRoute = [cors.corsWithOptions, authenticate.verifyUser, loadList];
+
+// Adds campsites to the list matching filter, creating it when upsert is set.
+const addCampsites = (filter, ids, upsert) =>
+  Favorite.findOneAndUpdate(
+    filter,
+    { $addToSet: { campsites: { $each: ids } } },
+    { new: true, upsert: Boolean(upsert) }
+  );
+
+// Removes the campsite from list, or fails with a 404 if it is not on it.
+const removeCampsite = (list, campsiteId) => {
+  if (!list || !list.campsites.some((id) => id.equals(campsiteId))) {
+    const err = new Error(`Campsite ${campsiteId} is not in your favorites`);
+    err.status = 404;
+    return Promise.reject(err);
+  }
+  list.campsites.pull(campsiteId);
+  return list.save();
+};
+
+const sendList = (res, list) => {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/json');
+  res.json(list);
+};
+
+// The default list. GET answers with all of the user's lists, the default one
+// first.
 favoriteRouter
   .route('/')
   .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
   .get(cors.cors, authenticate.verifyUser, (req, res, next) => {
     Favorite.find({ user: req.user._id })
+      .sort({ name: 1 })
       .populate('user')
       .populate('campsites')
       .then((favorite) => {
@@ -21,39 +110,23 @@ favoriteRouter
       })
       .catch((err) => next(err));
   })
-  .post(cors.corsWithOptions, authenticate.verifyUser, (req, res, next) => {
-    Favorite.findOne({ user: req.user._id }).then((favorite) => {
-      if (favorite) {
-        req.body.forEach((favCampsite) => {
-          if (!favorite.campsites.includes(favCampsite._id)) {
-            favorite.campsites.push(favCampsite._id);
-          }
-        });
-        favorite
-          .save()
-          .then((favorite) => {
-            res.statusCode = 200;
-            res.setHeader('Content-Type', 'application/json');
-            res.json(favorite);
-          })
-          .catch((err) => next(err));
-      } else {
-        Favorite.create({ user: req.user._id, campsites: req.body })
-          .then((favorite) => {
-            res.statusCode = 200;
-            res.setHeader('Content-Type', 'application/json');
-            res.json(favorite);
-          })
-          .catch((err) => next(err));
-      }
-    });
-  })
-  .put(cors.corsWithOptions, authenticate.verifyUser, (req, res) => {
-    res.statusCode = 403;
-    res.end('PUT operation is not supported on /favorites');
-  })
+  .post(
+    cors.corsWithOptions,
+    authenticate.verifyUser,
+    validate.body(favoritesBody),
+    checkCampsites,
+    (req, res, next) => {
+      addCampsites(
+        Favorite.defaultList(req.user._id),
+        req.body.map((campsite) => campsite._id),
+        true
+      )
+        .then((favorite) => sendList(res, favorite))
+        .catch((err) => next(err));
+    }
+  )
   .delete(cors.corsWithOptions, authenticate.verifyUser, (req, res, next) => {
-    Favorite.findOne({ user: req.user._id })
+    Favorite.findOne(Favorite.defaultList(req.user._id))
       .then((favorite) => {
         if (favorite) {
           favorite
@@ -65,56 +138,164 @@ favoriteRouter
             })
             .catch((err) => next(err));
         } else {
-          res.statusCode = 404;
-          res.setHeader('Content-Type', 'text/plain');
-          res.end('You do not have any favorites to delete.');
+          const err = new Error('You do not have any favorites to delete.');
+          err.status = 404;
+          return next(err);
         }
       })
       .catch((err) => next(err));
-  });
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
 
+// All of the user's lists, without their campsites populated, and new named
+// lists.
 favoriteRouter
-  .route('/:campsiteId')
-  .options(cors.corsWithOptions, (req, res) => req.sendStatus(200))
-  .get(cors.cors, authenticate.verifyUser, (req, res) => {
-    res.statusCode = 403;
-    res.end(
-      `GET operation is not supported on /favorites/${req.params.campsiteId}`
-    );
+  .route('/lists')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(cors.cors, authenticate.verifyUser, (req, res, next) => {
+    Favorite.find({ user: req.user._id })
+      .sort({ name: 1 })
+      .then((lists) => sendList(res, lists))
+      .catch((err) => next(err));
   })
-  .post(cors.corsWithOptions, authenticate.verifyUser, (req, res, next) => {
-    Favorite.findOne({ user: req.user._id })
-      .then((favorite) => {
-        if (favorite) {
-          if (!favorite.campsites.includes(req.params.campsiteId)) {
-            favorite.campsites.push(req.params.campsiteId);
-            favorite
-              .save()
-              .then((favorite) => {
-                res.statusCode = 200;
-                res.setHeader('Content-Type', 'application/json');
-                res.json(favorite);
-              })
-              .catch((err) => next(err));
-          } else {
+  .post(
+    cors.corsWithOptions,
+    authenticate.verifyUser,
+    validate.body(listBody),
+    (req, res, next) => {
+      new Favorite({ user: req.user._id, name: req.body.name })
+        .share(req.body.shared)
+        .save()
+        .then((list) => {
+          res.statusCode = 201;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(list);
+        })
+        .catch((err) => next(err));
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+favoriteRouter
+  .route(listIdPath)
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(listRoute, (req, res, next) => {
+    req.favoriteList
+      .populate('campsites')
+      .execPopulate()
+      .then((list) => sendList(res, list))
+      .catch((err) => next(err));
+  })
+  .put(
+    listRoute,
+    validate.body(listBody, { partial: true }),
+    (req, res, next) => {
+      if (req.body.name !== undefined) {
+        req.favoriteList.name = req.body.name;
+      }
+      if (req.body.shared !== undefined) {
+        req.favoriteList.share(req.body.shared);
+      }
+      req.favoriteList
+        .save()
+        .then((list) => sendList(res, list))
+        .catch((err) => next(err));
+    }
+  )
+  .delete(listRoute, (req, res, next) => {
+    req.favoriteList
+      .remove()
+      .then((list) => sendList(res, list))
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+favoriteRouter
+  .route(listIdPath + '/campsites')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .post(
+    listRoute,
+    validate.body(favoritesBody),
+    checkCampsites,
+    (req, res, next) => {
+      addCampsites(
+        { _id: req.favoriteList._id },
+        req.body.map((campsite) => campsite._id)
+      )
+        .then((list) => sendList(res, list))
+        .catch((err) => next(err));
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+favoriteRouter
+  .route(listIdPath + '/campsites' + campsiteIdPath)
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .post(listRoute, checkCampsite, (req, res, next) => {
+    addCampsites({ _id: req.favoriteList._id }, [req.params.campsiteId])
+      .then((list) => sendList(res, list))
+      .catch((err) => next(err));
+  })
+  .delete(listRoute, (req, res, next) => {
+    removeCampsite(req.favoriteList, req.params.campsiteId)
+      .then((list) => sendList(res, list))
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Read-only view of a shared list, for anyone who has the link. The owner is
+// left out.
+favoriteRouter
+  .route('/shared/:shareToken')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(cors.cors, (req, res, next) => {
+    Favorite.findOne({ shareToken: req.params.shareToken }, '-user -shareToken')
+      .populate('campsites')
+      .then((list) => {
+        if (!list) {
+          const err = new Error('This list is not shared, or no longer exists');
+          err.status = 404;
+          return next(err);
+        }
+        return sendList(res, list);
+      })
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+favoriteRouter
+  .route(campsiteIdPath)
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .post(
+    cors.corsWithOptions,
+    authenticate.verifyUser,
+    checkCampsite,
+    (req, res, next) => {
+      Favorite.findOne(Favorite.defaultList(req.user._id))
+        .then((favorite) => {
+          if (
+            favorite &&
+            favorite.campsites.some((id) => id.equals(req.params.campsiteId))
+          ) {
             res.statusCode = 200;
             res.setHeader('Content-Type', 'text/plain');
-            res.end('That campsite is already a favorite!');
+            return res.end('That campsite is already a favorite!');
           }
-        } else {
-          Favorite.create({
-            user: req.user._id,
-            campsites: [req.params.campsiteId],
-          })
-            .then((favorite) => {
-              res.statusCode = 200;
-              res.setHeader('Content-Type', 'application/json');
-              res.json(favorite);
-            })
-            .catch((err) => next(err));
-        }
-      })
+          return addCampsites(
+            Favorite.defaultList(req.user._id),
+            [req.params.campsiteId],
+            true
+          ).then((favorite) => sendList(res, favorite));
+        })
+        .catch((err) => next(err));
+    }
+  )
+  .delete(cors.corsWithOptions, authenticate.verifyUser, (req, res, next) => {
+    Favorite.findOne(Favorite.defaultList(req.user._id))
+      .then((favorite) => removeCampsite(favorite, req.params.campsiteId))
+      .then((favorite) => sendList(res, favorite))
       .catch((err) => next(err));
-  });
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
 
 module.exports = favoriteRouter;
@@ -0,0 +1,47 @@
+const express = require('express');
+const Campsite = require('../models/campsite');
+const cors = require('./cors');
+const errors = require('./errors');
+
+// Serves GET /campsites.geojson: every campsite with a location as a GeoJSON
+// FeatureCollection, ready to be plotted by map libraries.
+const geojsonRouter = express.Router();
+
+geojsonRouter
+  .route('/')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(cors.cors, (req, res, next) => {
+    Campsite.find(
+      { 'location.coordinates': { $exists: true } },
+      'name image elevation cost featured averageRating location'
+    )
+      .then((campsites) => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/geo+json');
+        res.send(
+          JSON.stringify({
+            type: 'FeatureCollection',
+            features: campsites.map((campsite) => ({
+              type: 'Feature',
+              id: campsite._id,
+              geometry: {
+                type: 'Point',
+                coordinates: campsite.location.coordinates,
+              },
+              properties: {
+                name: campsite.name,
+                image: campsite.image,
+                elevation: campsite.elevation,
+                cost: campsite.cost,
+                featured: campsite.featured,
+                averageRating: campsite.averageRating,
+              },
+            })),
+          })
+        );
+      })
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+module.exports = geojsonRouter;
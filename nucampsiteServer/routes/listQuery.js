@@ -0,0 +1,313 @@
+// Shared filtering, sorting, projection and pagination for the collection
+// GET routes. Each router describes which fields a client may filter, sort and
+// select on; anything outside of that whitelist is rejected with a 400 so that
+// query strings can never be used to inject arbitrary Mongo operators.
+//
+//   ?featured=true            equality filter
+//   ?elevation[gte]=1000      comparison filter (gt, gte, lt, lte, ne, in)
+//   ?sort=-elevation,name     sort, '-' prefix for descending
+//   ?fields=name,image        projection
+//   ?limit=10&page=2          offset paging
+//   ?limit=10&cursor=...      keyset paging, cursor taken from X-Next-Cursor
+//
+// Without ?limit the whole (filtered) collection is returned as before.
+
+const MAX_LIMIT = 100;
+const OPERATORS = ['gt', 'gte', 'lt', 'lte', 'ne', 'in'];
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const casters = {
+  string: (value) => String(value),
+  number: (value) => {
+    const number = Number(value);
+    if (value === '' || isNaN(number)) {
+      throw badRequest(`'${value}' is not a number`);
+    }
+    return number;
+  },
+  boolean: (value) => {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    throw badRequest(`'${value}' is not a boolean`);
+  },
+  date: (value) => {
+    const date = new Date(value);
+    if (isNaN(date)) {
+      throw badRequest(`'${value}' is not a date`);
+    }
+    return date;
+  },
+};
+
+const parseFilter = (query, filters) => {
+  const filter = {};
+  Object.keys(filters).forEach((field) => {
+    if (query[field] === undefined) return;
+    const cast = casters[filters[field]];
+    const value = query[field];
+    if (Array.isArray(value)) {
+      filter[field] = { $in: value.map(cast) };
+    } else if (value !== null && typeof value === 'object') {
+      filter[field] = {};
+      Object.keys(value).forEach((op) => {
+        if (!OPERATORS.includes(op)) {
+          throw badRequest(`Unsupported operator '${op}' on ${field}`);
+        }
+        filter[field]['$' + op] =
+          op === 'in' ? String(value[op]).split(',').map(cast) : cast(value[op]);
+      });
+    } else {
+      filter[field] = cast(value);
+    }
+  });
+  return filter;
+};
+
+const parseSort = (sort, sortable, defaultSort, aliases) => {
+  const fields = String(sort || defaultSort || '')
+    .split(',')
+    .filter(Boolean)
+    .map((token) => {
+      const descending = token.startsWith('-');
+      const name = descending ? token.slice(1) : token;
+      const field = aliases[name] || name;
+      if (!sortable.includes(field)) {
+        throw badRequest(`Cannot sort on '${name}'`);
+      }
+      return [field, descending ? -1 : 1];
+    });
+  // _id always breaks ties so that paging is deterministic.
+  if (!fields.some(([field]) => field === '_id')) {
+    fields.push(['_id', 1]);
+  }
+  return fields;
+};
+
+const parseFields = (fields, selectable) => {
+  if (!fields) return null;
+  return String(fields)
+    .split(',')
+    .filter(Boolean)
+    .map((field) => {
+      if (!selectable.includes(field)) {
+        throw badRequest(`Cannot select field '${field}'`);
+      }
+      return field;
+    });
+};
+
+const parsePositive = (value, name) => {
+  if (value === undefined) return null;
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number < 1) {
+    throw badRequest(`${name} must be a positive integer`);
+  }
+  return number;
+};
+
+const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString('base64');
+
+const decodeCursor = (cursor, length) => {
+  let values;
+  try {
+    values = JSON.parse(
+      Buffer.from(String(cursor).replace(/ /g, '+'), 'base64').toString()
+    );
+  } catch (err) {
+    throw badRequest('Invalid cursor');
+  }
+  // Only plain values, so that a crafted cursor cannot smuggle in operators.
+  if (
+    !Array.isArray(values) ||
+    values.length !== length ||
+    !values.every(
+      (value) =>
+        value === null || ['string', 'number', 'boolean'].includes(typeof value)
+    )
+  ) {
+    throw badRequest('Invalid cursor');
+  }
+  return values;
+};
+
+// Cursor values went through JSON, so dates and ids come back as strings. Each
+// is cast back to the type of its field.
+const castCursor = (Model, sort, values) =>
+  sort.map(([field], i) => {
+    const schemaType = Model.schema.path(field);
+    if (values[i] === null || !schemaType) {
+      return values[i];
+    }
+    try {
+      return schemaType.cast(values[i]);
+    } catch (err) {
+      throw badRequest('Invalid cursor');
+    }
+  });
+
+// Builds the condition selecting documents that sort strictly after the
+// cursor position: (a > x) or (a = x and b > y) or ...
+const afterCursor = (sort, values) => ({
+  $or: sort.map(([field, direction], i) => {
+    const condition = {};
+    for (let j = 0; j < i; j++) {
+      condition[sort[j][0]] = values[j];
+    }
+    condition[field] = { [direction > 0 ? '$gt' : '$lt']: values[i] };
+    return condition;
+  }),
+});
+
+/**
+ * Middleware factory that validates the list query string against spec and
+ * stores the result on req.listQuery for findPage().
+ *
+ * spec.filters     map of field name to 'string' | 'number' | 'boolean' | 'date'
+ * spec.sortable    field names allowed in ?sort
+ * spec.selectable  field names allowed in ?fields
+ * spec.defaultSort sort used when the client does not supply one
+ * spec.sortAliases map of public sort names to sortable fields
+ */
+exports.parse = (spec) => (req, res, next) => {
+  try {
+    const limit = parsePositive(req.query.limit, 'limit');
+    req.listQuery = {
+      filter: parseFilter(req.query, spec.filters || {}),
+      sort: parseSort(
+        req.query.sort,
+        spec.sortable || [],
+        spec.defaultSort,
+        spec.sortAliases || {}
+      ),
+      fields: parseFields(req.query.fields, spec.selectable || []),
+      limit: limit && Math.min(limit, MAX_LIMIT),
+      page: parsePositive(req.query.page, 'page') || 1,
+      cursor: req.query.cursor,
+    };
+    if (req.listQuery.cursor !== undefined) {
+      if (!req.listQuery.limit) {
+        throw badRequest('cursor requires a limit');
+      }
+      req.listQuery.cursor = decodeCursor(
+        req.listQuery.cursor,
+        req.listQuery.sort.length
+      );
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+};
+
+/**
+ * Runs the parsed list query against Model. extraFilter is merged with the
+ * client's filter and modify(query) may add populate() calls and the like.
+ * Resolves with { docs, total, page, limit, nextCursor }.
+ */
+exports.findPage = (Model, listQuery, extraFilter, modify) => {
+  const filter = Object.assign({}, listQuery.filter, extraFilter);
+  let conditions = filter;
+  if (listQuery.cursor) {
+    try {
+      const values = castCursor(Model, listQuery.sort, listQuery.cursor);
+      conditions = { $and: [filter, afterCursor(listQuery.sort, values)] };
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  const sort = {};
+  listQuery.sort.forEach(([field, direction]) => {
+    sort[field] = direction;
+  });
+
+  let query = Model.find(conditions).sort(sort);
+  if (listQuery.fields) {
+    // Sort keys are needed to build the next cursor.
+    const fields = listQuery.fields.concat(
+      listQuery.sort.map(([field]) => field)
+    );
+    query = query.select(Array.from(new Set(fields)).join(' '));
+  }
+  if (listQuery.limit) {
+    if (!listQuery.cursor) {
+      query = query.skip((listQuery.page - 1) * listQuery.limit);
+    }
+    // Ask for one extra document to find out whether there is a next page.
+    query = query.limit(listQuery.limit + 1);
+  }
+  if (modify) {
+    query = modify(query) || query;
+  }
+
+  return Promise.all([query.exec(), Model.countDocuments(filter)]).then(
+    ([docs, total]) => {
+      let nextCursor = null;
+      if (listQuery.limit && docs.length > listQuery.limit) {
+        docs = docs.slice(0, listQuery.limit);
+        const last = docs[docs.length - 1];
+        nextCursor = encodeCursor(
+          listQuery.sort.map(([field]) =>
+            typeof last.get === 'function' ? last.get(field) : last[field]
+          )
+        );
+      }
+      return {
+        docs,
+        total,
+        page: listQuery.page,
+        limit: listQuery.limit,
+        nextCursor,
+      };
+    }
+  );
+};
+
+const linkTo = (req, params) => {
+  const search = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  ['page', 'cursor'].forEach((name) => search.delete(name));
+  Object.keys(params).forEach((name) => search.set(name, params[name]));
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}${
+    req.path === '/' ? '' : req.path
+  }?${search.toString()}`;
+};
+
+/**
+ * Sends result.docs as the JSON body, with the pagination metadata in the
+ * X-Total-Count, X-Next-Cursor and Link headers so that the body keeps the
+ * plain array shape existing clients expect.
+ */
+exports.sendPage = (req, res, result, docs) => {
+  res.setHeader('X-Total-Count', result.total);
+  if (result.limit) {
+    const links = [];
+    const lastPage = Math.max(1, Math.ceil(result.total / result.limit));
+    if (result.nextCursor) {
+      res.setHeader('X-Next-Cursor', result.nextCursor);
+      links.push(
+        req.listQuery.cursor
+          ? `<${linkTo(req, { cursor: result.nextCursor })}>; rel="next"`
+          : `<${linkTo(req, { page: result.page + 1 })}>; rel="next"`
+      );
+    }
+    if (!req.listQuery.cursor) {
+      if (result.page > 1) {
+        links.push(`<${linkTo(req, { page: result.page - 1 })}>; rel="prev"`);
+      }
+      links.push(`<${linkTo(req, { page: 1 })}>; rel="first"`);
+      links.push(`<${linkTo(req, { page: lastPage })}>; rel="last"`);
+    }
+    if (links.length) {
+      res.setHeader('Link', links.join(', '));
+    }
+  }
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/json');
+  res.json(docs || result.docs);
+};
@@ -0,0 +1,157 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const Comment = require('../models/comment');
+const User = require('../models/user');
+const authenticate = require('../authenticate');
+const cors = require('./cors');
+const errors = require('./errors');
+const listQuery = require('./listQuery');
+
+const moderationRouter = express.Router();
+
+moderationRouter.use(bodyParser.json());
+
+moderationRouter.options('*', cors.corsWithOptions, (req, res) =>
+  res.sendStatus(200)
+);
+
+// Every other route in here is for moderators only.
+moderationRouter.use(
+  cors.corsWithOptions,
+  authenticate.verifyUser,
+  authenticate.requirePermission('comments:moderate')
+);
+
+const loadComment = (req, res, next) => {
+  Comment.findById(req.params.commentId)
+    .then((comment) => {
+      if (!comment) {
+        const err = new Error(`Comment ${req.params.commentId} not found`);
+        err.status = 404;
+        return next(err);
+      }
+      req.comment = comment;
+      return next();
+    })
+    .catch((err) => next(err));
+};
+
+const setStatus = (comment, status, moderator) => {
+  comment.status = status;
+  comment.moderatedBy = moderator._id;
+  comment.moderatedAt = new Date();
+  return comment.save();
+};
+
+const sendComment = (res) => (comment) => {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/json');
+  res.json(comment);
+};
+
+// The moderation queue: pending comments, oldest first, with their reports.
+// ?status=rejected or ?status=approved shows the other states instead.
+moderationRouter
+  .route('/comments')
+  .get(
+    listQuery.parse({
+      filters: { campsite: 'string', author: 'string' },
+      sortable: ['createdAt', 'updatedAt', 'rating'],
+      defaultSort: 'createdAt',
+    }),
+    (req, res, next) => {
+      const status = req.query.status || 'pending';
+      if (!Comment.schema.path('status').enumValues.includes(status)) {
+        const err = new Error(`Unknown comment status '${status}'`);
+        err.status = 400;
+        return next(err);
+      }
+      listQuery
+        .findPage(
+          Comment,
+          req.listQuery,
+          { status: status },
+          (query) =>
+            query
+              .populate('author', Comment.AUTHOR_FIELDS + ' commentBanned')
+              .populate('campsite', 'name')
+              .populate('reports.user', Comment.AUTHOR_FIELDS)
+        )
+        .then((result) => listQuery.sendPage(req, res, result))
+        .catch((err) => next(err));
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Approving publishes the comment and clears its reports, so that it only goes
+// back into the queue if it collects a fresh set of them.
+moderationRouter.post(
+  '/comments/:commentId/approve',
+  loadComment,
+  (req, res, next) => {
+    req.comment.reports = [];
+    setStatus(req.comment, 'approved', req.user)
+      .then(sendComment(res))
+      .catch((err) => next(err));
+  }
+);
+
+moderationRouter.post(
+  '/comments/:commentId/reject',
+  loadComment,
+  (req, res, next) => {
+    setStatus(req.comment, 'rejected', req.user)
+      .then(sendComment(res))
+      .catch((err) => next(err));
+  }
+);
+
+// Rejects the comment, bans its author from posting comments and rejects the
+// author's other comments that are still waiting in the queue.
+moderationRouter.post(
+  '/comments/:commentId/ban-author',
+  loadComment,
+  (req, res, next) => {
+    const authorId = req.comment.author;
+    User.findByIdAndUpdate(authorId, { $set: { commentBanned: true } })
+      .then(() =>
+        Comment.find({
+          author: authorId,
+          status: 'pending',
+          _id: { $ne: req.comment._id },
+        })
+      )
+      .then((pending) =>
+        Promise.all(
+          pending.map((comment) => setStatus(comment, 'rejected', req.user))
+        )
+      )
+      .then(() => setStatus(req.comment, 'rejected', req.user))
+      .then(sendComment(res))
+      .catch((err) => next(err));
+  }
+);
+
+// Lifts a comment ban again.
+moderationRouter.delete('/bans/:userId', (req, res, next) => {
+  User.findByIdAndUpdate(
+    req.params.userId,
+    { $set: { commentBanned: false } },
+    { new: true }
+  )
+    .then((user) => {
+      if (!user) {
+        const err = new Error(`User ${req.params.userId} not found`);
+        err.status = 404;
+        return next(err);
+      }
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.json(user);
+    })
+    .catch((err) => next(err));
+});
+
+moderationRouter.use(errors.methodNotAllowedIn(moderationRouter));
+
+module.exports = moderationRouter;
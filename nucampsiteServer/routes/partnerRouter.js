@@ -2,32 +2,76 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const Partner = require('../models/partner');
 const authenticate = require('../authenticate');
+const audit = require('../audit');
+const roles = require('../roles');
+const pricing = require('../pricing');
 const cors = require('./cors');
+const errors = require('./errors');
+const validate = require('./validate');
+const confirmation = require('./confirmation');
+const conditional = require('./conditional');
+const listQuery = require('./listQuery');
 
 const partnerRouter = express.Router();
 
 partnerRouter.use(bodyParser.json());
 
+const partnerBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  image: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  featured: { type: 'boolean' },
+};
+
+// Partner managers may only edit their own partner, see roles.managesPartner(),
+// and cannot feature it.
+const requirePartnerManager = (req, res, next) => {
+  const featuring =
+    req.body.featured !== undefined && !roles.can(req.user, 'partners:write');
+  if (roles.managesPartner(req.user, req.params.partnerId) && !featuring) {
+    return next();
+  }
+  const err = new Error('You are not authorized to perform this operation!');
+  err.status = 403;
+  return next(err);
+};
+
+// Responds with the partner and its campsites, priced like every campsite
+// response. There is no ETag, since it would only cover the partner.
+const sendWithCampsites = (res, partner) =>
+  pricing.apply(partner.campsites).then((campsites) => {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.json(Object.assign(partner.toJSON(), { campsites }));
+  });
+
 partnerRouter
   .route('/')
   .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
-  .get(cors.cors, (req, res, next) => {
-    Partner.find()
-      .then((partners) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.json(partners);
-      })
-      .catch((err) => next(err));
-  })
+  .get(
+    cors.cors,
+    listQuery.parse({
+      filters: { name: 'string', featured: 'boolean' },
+      sortable: ['name', 'featured', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'image', 'description', 'featured', 'createdAt', 'updatedAt'],
+    }),
+    (req, res, next) => {
+      listQuery
+        .findPage(Partner, req.listQuery)
+        .then((result) => listQuery.sendPage(req, res, result))
+        .catch((err) => next(err));
+    }
+  )
   .post(
     cors.corsWithOptions,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
+    authenticate.requirePermission('partners:write'),
+    validate.body(partnerBody),
     (req, res, next) => {
       Partner.create(req.body)
         .then((partner) => {
           console.log('Partner Created ', partner);
+          audit.changed(req, null, partner);
           res.statusCode = 200;
           res.setHeader('Content-Type', 'application/json');
           res.json(partner);
@@ -35,21 +79,15 @@ partnerRouter
         .catch((err) => next(err));
     }
   )
-  .put(
-    cors.corsWithOptions,
-    authenticate.verifyUser,
-    authenticate.verifyAdmin,
-    (req, res) => {
-      res.statusCode = 403;
-      res.end('PUT operation not supported on /partners');
-    }
-  )
   .delete(
     cors.corsWithOptions,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
+    authenticate.requirePermission('partners:write'),
+    // Emptying the collection into the trash has to be confirmed.
+    confirmation.required,
     (req, res, next) => {
-      Partner.deleteMany()
+      audit
+        .softDeleteMany(req, Partner, {})
         .then((response) => {
           res.statusCode = 200;
           res.setHeader('Content-Type', 'application/json');
@@ -57,47 +95,60 @@ partnerRouter
         })
         .catch((err) => next(err));
     }
-  );
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
 
 partnerRouter
   .route('/:partnerId')
   .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  // ?embed=campsites adds the partner's campsites.
   .get(cors.cors, (req, res, next) => {
-    Partner.findById(req.params.partnerId)
+    const embed = req.query.embed;
+    if (embed !== undefined && embed !== 'campsites') {
+      const err = new Error(`Cannot embed ${embed}, only campsites`);
+      err.status = 400;
+      return next(err);
+    }
+    let query = Partner.findById(req.params.partnerId);
+    if (embed) {
+      query = query.populate('campsites');
+    }
+    query
       .then((partner) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.json(partner);
+        if (!partner) {
+          const err = new Error(`Partner ${req.params.partnerId} not found`);
+          err.status = 404;
+          throw err;
+        }
+        if (embed) {
+          return sendWithCampsites(res, partner);
+        }
+        return conditional.send(res, partner);
       })
       .catch((err) => next(err));
   })
-  .post(
-    cors.corsWithOptions,
-    authenticate.verifyUser,
-    authenticate.verifyAdmin,
-    (req, res) => {
-      res.statusCode = 403;
-      res.end(
-        `POST operation not supported on /partners/${req.params.partnerId}`
-      );
-    }
-  )
+  // Also open to the partner's own managers.
   .put(
     cors.corsWithOptions,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
+    requirePartnerManager,
+    validate.body(partnerBody, { partial: true }),
     (req, res, next) => {
-      Partner.findByIdAndUpdate(
-        req.params.partnerId,
-        {
-          $set: req.body,
-        },
-        { new: true }
-      )
+      audit
+        .findByIdAndUpdate(
+          req,
+          Partner,
+          req.params.partnerId,
+          { $set: req.body },
+          conditional.check(req)
+        )
         .then((partner) => {
-          res.statusCode = 200;
-          res.setHeader('Content-Type', 'application/json');
-          res.json(partner);
+          if (!partner) {
+            const err = new Error(`Partner ${req.params.partnerId} not found`);
+            err.status = 404;
+            throw err;
+          }
+          conditional.send(res, partner);
         })
         .catch((err) => next(err));
     }
@@ -105,9 +156,18 @@ partnerRouter
   .delete(
     cors.corsWithOptions,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
+    authenticate.requirePermission('partners:write'),
     (req, res, next) => {
-      Partner.findByIdAndDelete(req.params.partnerId)
+      Partner.findById(req.params.partnerId)
+        .then((partner) => {
+          if (!partner) {
+            const err = new Error(`Partner ${req.params.partnerId} not found`);
+            err.status = 404;
+            throw err;
+          }
+          conditional.check(req)(partner);
+          return audit.softDelete(req, partner);
+        })
         .then((response) => {
           res.statusCode = 200;
           res.setHeader('Content-Type', 'application/json');
@@ -115,6 +175,7 @@ partnerRouter
         })
         .catch((err) => next(err));
     }
-  );
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
 
 module.exports = partnerRouter;
@@ -1,32 +1,102 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const Promotion = require('../models/promotion');
+const Campsite = require('../models/campsite');
 const authenticate = require('../authenticate');
+const audit = require('../audit');
 const cors = require("./cors");
+const errors = require('./errors');
+const validate = require('./validate');
+const confirmation = require('./confirmation');
+const conditional = require('./conditional');
+const listQuery = require('./listQuery');
 
 const promotionRouter = express.Router();
 
 promotionRouter.use(bodyParser.json());
 
+const promotionBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  image: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  featured: { type: 'boolean' },
+  cost: { type: 'currency', required: true },
+  // Without startsAt the promotion starts right away, without endsAt it never
+  // ends.
+  startsAt: { type: 'date' },
+  endsAt: { type: 'date' },
+  campsites: {
+    type: 'array',
+    maxLength: 100,
+    items: { type: 'objectId', required: true },
+  },
+  // percent is required for a percentage discount, amount for a fixed one.
+  discount: {
+    type: 'object',
+    fields: {
+      kind: { type: 'string', required: true, enum: ['percentage', 'fixed'] },
+      percent: { type: 'number', min: 0, max: 100 },
+      amount: { type: 'currency', min: 0 },
+    },
+  },
+};
+
+// Everyone sees the promotions that are active now. ?status=scheduled, expired
+// or all is only for users who manage promotions. Stores the condition for the
+// status on req.statusFilter.
+const parseStatus = (req, res, next) => {
+  const status = req.query.status === undefined ? 'active' : String(req.query.status);
+  const statuses = Promotion.STATUSES.concat('all');
+  if (!statuses.includes(status)) {
+    const err = new Error(`Unknown status ${status}, use one of ${statuses.join(', ')}`);
+    err.status = 400;
+    return next(err);
+  }
+  req.statusFilter = status === 'all' ? {} : Promotion.withStatus(status);
+  if (status === 'active') {
+    return next();
+  }
+  return authenticate.verifyUser(req, res, (err) => {
+    if (err) {
+      return next(err);
+    }
+    return authenticate.requirePermission('promotions:write')(req, res, next);
+  });
+};
+
+// Promotions can only be attached to existing campsites.
+const checkCampsites = validate.exists(Campsite, (body) =>
+  (body.campsites || []).map((id, i) => [`campsites.${i}`, id])
+);
+
 promotionRouter.route('/')
 .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
-  .get(cors.cors, (req, res, next) => {
-    Promotion.find()
-    .then((promotion) => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.json(promotion);
-    })
-    .catch(err => next(err));
-})
+  .get(
+    cors.cors,
+    parseStatus,
+    listQuery.parse({
+      filters: { name: 'string', featured: 'boolean', cost: 'number', campsites: 'string', startsAt: 'date', endsAt: 'date' },
+      sortable: ['name', 'cost', 'featured', 'startsAt', 'endsAt', 'createdAt', 'updatedAt'],
+      selectable: ['name', 'image', 'description', 'featured', 'cost', 'startsAt', 'endsAt', 'campsites', 'discount', 'createdAt', 'updatedAt'],
+    }),
+    (req, res, next) => {
+      listQuery
+        .findPage(Promotion, req.listQuery, req.statusFilter)
+        .then((result) => listQuery.sendPage(req, res, result))
+        .catch((err) => next(err));
+    }
+  )
 .post(
     cors.corsWithOptions,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
+    authenticate.requirePermission('promotions:write'),
+    validate.body(promotionBody),
+    checkCampsites,
     (req, res, next) => {
       Promotion.create(req.body)
         .then((promotion) => {
           console.log("Promotion Created ", promotion);
+          audit.changed(req, null, promotion);
           res.statusCode = 200;
           res.setHeader("Content-Type", "application/json");
           res.json(promotion);
@@ -34,17 +104,9 @@ promotionRouter.route('/')
         .catch((err) => next(err));
     }
   )
-  .put(
-    cors.corsWithOptions,
-    authenticate.verifyUser,
-    authenticate.verifyAdmin,
-    (req, res) => {
-      res.statusCode = 403;
-      res.end("PUT operation not supported on /promotions");
-    }
-  )
-.delete(cors.corsWithOptions,authenticate.verifyUser, authenticate.verifyAdmin, (req, res, next) => {
-    Promotion.deleteMany()
+// Moves every promotion to the trash, once confirmed.
+.delete(cors.corsWithOptions,authenticate.verifyUser, authenticate.requirePermission('promotions:write'), confirmation.required, (req, res, next) => {
+    audit.softDeleteMany(req, Promotion, {})
     .then(response => {
         res.statusCode = 200;
         res.setHeader('Content-Type', 'application/json');
@@ -52,51 +114,69 @@ promotionRouter.route('/')
     })
     .catch(err => next(err));
 })
+.all(cors.corsWithOptions, errors.methodNotAllowed);
 
 promotionRouter.route('/:promotionId')
 .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
   .get(cors.cors, (req, res, next) => {
     Promotion.findById(req.params.promotionId)
     .then(promotion => {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.json(promotion);
+        if (!promotion) {
+            const err = new Error(`Promotion ${req.params.promotionId} not found`);
+            err.status = 404;
+            throw err;
+        }
+        conditional.send(res, promotion);
     })
     .catch(err => next(err));
 })
-.post(
-    cors.corsWithOptions,
-    authenticate.verifyUser,
-    authenticate.verifyAdmin,
-    (req, res) => {
-      res.statusCode = 403;
-      res.end(
-        `POST operation not supported on /promotions/${req.params.promotionId}`
-      );
-    }
-  )
   .put(
     cors.corsWithOptions,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
+    authenticate.requirePermission('promotions:write'),
+    validate.body(promotionBody, { partial: true }),
+    checkCampsites,
     (req, res, next) => {
-      Promotion.findByIdAndUpdate(
-        req.params.promotionId,
-        {
-          $set: req.body,
-        },
-        { new: true }
-      )
+      audit
+        .findByIdAndUpdate(
+          req,
+          Promotion,
+          req.params.promotionId,
+          { $set: req.body },
+          (before) => {
+            conditional.check(req)(before);
+            // Rules across fields, such as endsAt coming after startsAt, are
+            // checked against the promotion as it will be after the update.
+            const err = new Promotion(
+              Object.assign(before.toObject(), req.body)
+            ).validateSync();
+            if (err) {
+              throw err;
+            }
+          }
+        )
         .then((promotion) => {
-          res.statusCode = 200;
-          res.setHeader("Content-Type", "application/json");
-          res.json(promotion);
+          if (!promotion) {
+            const err = new Error(`Promotion ${req.params.promotionId} not found`);
+            err.status = 404;
+            throw err;
+          }
+          conditional.send(res, promotion);
         })
         .catch((err) => next(err));
     }
   )
-.delete(cors.corsWithOptions,authenticate.verifyUser, authenticate.verifyAdmin, (req, res, next) => {
-    Promotion.findByIdAndDelete(req.params.promotionId)
+.delete(cors.corsWithOptions,authenticate.verifyUser, authenticate.requirePermission('promotions:write'), (req, res, next) => {
+    Promotion.findById(req.params.promotionId)
+    .then(promotion => {
+        if (!promotion) {
+            const err = new Error(`Promotion ${req.params.promotionId} not found`);
+            err.status = 404;
+            throw err;
+        }
+        conditional.check(req)(promotion);
+        return audit.softDelete(req, promotion);
+    })
     .then(response => {
         res.statusCode = 200;
         res.setHeader('Content-Type', 'application/json');
@@ -104,5 +184,6 @@ promotionRouter.route('/:promotionId')
     })
     .catch(err => next(err));
 })
+.all(cors.corsWithOptions, errors.methodNotAllowed);
 
 module.exports = promotionRouter;
\ No newline at end of file
@@ -0,0 +1,207 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const Reservation = require('../models/reservation');
+const Campsite = require('../models/campsite');
+const ReservationLock = require('../models/reservationLock');
+const authenticate = require('../authenticate');
+const cors = require('./cors');
+const errors = require('./errors');
+const validate = require('./validate');
+const pricing = require('../pricing');
+
+const reservationRouter = express.Router();
+
+reservationRouter.use(bodyParser.json());
+
+// Fields a booking may be changed on; anything left out is kept as it is.
+const reservationBody = {
+  startDate: { type: 'date' },
+  endDate: { type: 'date' },
+  guests: { type: 'integer', min: 1 },
+};
+
+// Loads the reservation named in the route and makes sure the current user
+// either owns it or manages reservations. The document is left on
+// req.reservation.
+const loadReservation = (req, res, next) => {
+  Reservation.findById(req.params.reservationId)
+    .then((reservation) => {
+      if (!reservation) {
+        const err = new Error(
+          `Reservation ${req.params.reservationId} not found`
+        );
+        err.status = 404;
+        return next(err);
+      }
+      if (!reservation.user.equals(req.user._id) && !req.user.can('reservations:manage')) {
+        const err = new Error(
+          'You are not authorized to access this reservation!'
+        );
+        err.status = 403;
+        return next(err);
+      }
+      req.reservation = reservation;
+      return next();
+    })
+    .catch((err) => next(err));
+};
+
+reservationRouter
+  .route('/')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(cors.cors, authenticate.verifyUser, (req, res, next) => {
+    Reservation.find({ user: req.user._id })
+      .populate('campsite')
+      .sort('startDate')
+      .then((reservations) => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(reservations);
+      })
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Every booking across all campsites, optionally narrowed by ?status= and
+// ?campsite=.
+reservationRouter
+  .route('/all')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(
+    cors.corsWithOptions,
+    authenticate.verifyUser,
+    authenticate.requirePermission('reservations:manage'),
+    (req, res, next) => {
+      const query = {};
+      if (req.query.status) {
+        query.status = String(req.query.status);
+      }
+      if (req.query.campsite) {
+        query.campsite = String(req.query.campsite);
+      }
+      Reservation.find(query)
+        .populate('campsite')
+        .populate('user', Reservation.USER_FIELDS)
+        .sort('startDate')
+        .then((reservations) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(reservations);
+        })
+        .catch((err) => next(err));
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+reservationRouter
+  .route('/:reservationId')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(
+    cors.cors,
+    authenticate.verifyUser,
+    loadReservation,
+    (req, res, next) => {
+      req.reservation
+        .populate('campsite')
+        .execPopulate()
+        .then((reservation) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(reservation);
+        })
+        .catch((err) => next(err));
+    }
+  )
+  // Modifying a booking re-checks availability for the new range (ignoring the
+  // booking itself) under the campsite's ReservationLock, like a new booking.
+  // The total agreed on is kept unless the dates change; a new range is priced
+  // at the campsite's current cost, with any promotion running now applied.
+  .put(
+    cors.corsWithOptions,
+    authenticate.verifyUser,
+    validate.body(reservationBody),
+    loadReservation,
+    (req, res, next) => {
+      const reservation = req.reservation;
+      if (reservation.status === 'cancelled') {
+        const err = new Error('A cancelled reservation cannot be modified');
+        err.status = 409;
+        return next(err);
+      }
+      const startDate = req.body.startDate || reservation.startDate;
+      const endDate = req.body.endDate || reservation.endDate;
+      const datesChanged =
+        new Date(startDate).getTime() !== reservation.startDate.getTime() ||
+        new Date(endDate).getTime() !== reservation.endDate.getTime();
+      ReservationLock.run(reservation.campsite, () =>
+        Promise.all([
+          Campsite.findById(reservation.campsite).then(
+            (campsite) =>
+              campsite &&
+              (datesChanged
+                ? pricing.costOf(campsite)
+                : Promise.resolve()
+              ).then((cost) => ({ campsite, cost }))
+          ),
+          Reservation.checkAvailability(
+            reservation.campsite,
+            startDate,
+            endDate,
+            reservation._id,
+            { allowPastStart: !req.body.startDate }
+          ),
+        ]).then(([priced, range]) => {
+          if (!priced) {
+            const err = new Error(`Campsite ${reservation.campsite} not found`);
+            err.status = 404;
+            throw err;
+          }
+          reservation.startDate = range.startDate;
+          reservation.endDate = range.endDate;
+          if (req.body.guests) {
+            reservation.guests = req.body.guests;
+          }
+          if (datesChanged) {
+            reservation.total =
+              priced.cost * Reservation.nights(range.startDate, range.endDate);
+          }
+          return reservation.save();
+        })
+      )
+        .then((reservation) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(reservation);
+        })
+        .catch((err) => next(err));
+    }
+  )
+  // Cancelling keeps the record for history but frees up the dates.
+  .delete(
+    cors.corsWithOptions,
+    authenticate.verifyUser,
+    loadReservation,
+    (req, res, next) => {
+      const reservation = req.reservation;
+      if (reservation.status === 'cancelled') {
+        const err = new Error(
+          `Reservation ${reservation._id} is already cancelled`
+        );
+        err.status = 409;
+        return next(err);
+      }
+      reservation.status = 'cancelled';
+      reservation.cancelledAt = new Date();
+      reservation
+        .save()
+        .then((reservation) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(reservation);
+        })
+        .catch((err) => next(err));
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+module.exports = reservationRouter;
@@ -0,0 +1,250 @@
+const express = require('express');
+const Campsite = require('../models/campsite');
+const Promotion = require('../models/promotion');
+const Partner = require('../models/partner');
+const Comment = require('../models/comment');
+const cors = require('./cors');
+const errors = require('./errors');
+
+// Searchable collections by the name used in ?type=. Comments are only
+// searched when asked for. A filter may be a function, for conditions that
+// depend on the time of the search or on other collections, and may then
+// return a promise. Comments on campsites in the trash are left out.
+const TYPES = {
+  campsites: { Model: Campsite, type: 'campsite' },
+  promotions: {
+    Model: Promotion,
+    type: 'promotion',
+    filter: () => Promotion.withStatus('active'),
+  },
+  partners: { Model: Partner, type: 'partner' },
+  comments: {
+    Model: Comment,
+    type: 'comment',
+    filter: () =>
+      Campsite.distinct('_id').then((ids) =>
+        Object.assign({ campsite: { $in: ids } }, Comment.VISIBLE)
+      ),
+    populate: { path: 'campsite', select: 'name' },
+  },
+};
+// Types searched without ?type=, which are also the ones with names to suggest.
+const DEFAULT_TYPES = ['campsites', 'promotions', 'partners'];
+
+const SNIPPET_LENGTH = 160;
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// Validates ?q=, ?type= and ?limit= onto req.search. spec.types are the
+// allowed types and spec.defaultTypes those searched without ?type=.
+const parseSearch = (spec) => (req, res, next) => {
+  const types = spec.types;
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q || q.length > 200) {
+    return next(badRequest('q must be between 1 and 200 characters'));
+  }
+  const requested = req.query.type
+    ? String(req.query.type).split(',')
+    : spec.defaultTypes;
+  const unknown = requested.filter((type) => !types.includes(type));
+  if (unknown.length) {
+    return next(
+      badRequest(
+        `Unknown type ${unknown.join(', ')}, use one of ${types.join(', ')}`
+      )
+    );
+  }
+  const limit =
+    req.query.limit === undefined ? spec.defaultLimit : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return next(badRequest('limit must be a positive integer'));
+  }
+  req.search = { q, types: requested, limit: Math.min(limit, spec.maxLimit) };
+  return next();
+};
+
+// The words of a text search, leaving out negated ones such as -crowded.
+const termsOf = (q) =>
+  q
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'));
+
+/**
+ * An excerpt of text around the first search term it contains, HTML escaped,
+ * with every word starting with a search term wrapped in <mark>. Text search
+ * also matches other forms of a word (camping for camp), which may go
+ * unmarked.
+ */
+const snippet = (text, terms) => {
+  text = String(text || '');
+  if (!terms.length) {
+    return escapeHtml(text.slice(0, SNIPPET_LENGTH));
+  }
+  const pattern = new RegExp(
+    `\\b(${terms.map(escapeRegExp).join('|')})\\w*`,
+    'gi'
+  );
+  const first = text.search(pattern);
+  let start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  // Start at a word boundary.
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1 || start;
+  }
+  const excerpt = text.slice(start, start + SNIPPET_LENGTH);
+  let html = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    html +=
+      escapeHtml(excerpt.slice(last, match.index)) +
+      `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+  return (
+    (start > 0 ? '…' : '') +
+    html +
+    (start + SNIPPET_LENGTH < text.length ? '…' : '')
+  );
+};
+
+// Ranked matches of one type as search results.
+const searchType = (name, q, terms, limit) => {
+  const spec = TYPES[name];
+  return Promise.resolve(
+    typeof spec.filter === 'function' ? spec.filter() : spec.filter
+  )
+    .then((filter) => {
+      const query = spec.Model.find(
+        Object.assign({ $text: { $search: q } }, filter),
+        { score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean();
+      return spec.populate ? query.populate(spec.populate) : query;
+    })
+    .then((docs) =>
+      docs.map((doc) =>
+        spec.type === 'comment'
+          ? {
+              type: spec.type,
+              _id: doc._id,
+              campsite: doc.campsite,
+              rating: doc.rating,
+              score: doc.score,
+              snippet: snippet(doc.text, terms),
+            }
+          : {
+              type: spec.type,
+              _id: doc._id,
+              name: doc.name,
+              image: doc.image,
+              score: doc.score,
+              snippet: snippet(doc.description, terms),
+            }
+      )
+    );
+};
+
+const searchRouter = express.Router();
+
+// Text search over the names and descriptions of campsites, promotions and
+// partners, and over comment text with ?type=comments. Results of all types
+// are merged by relevance; each has a type, its _id and a snippet with the
+// matching words in <mark>. The search syntax is MongoDB's, so "quoted
+// phrases" and -excluded words work.
+searchRouter
+  .route('/')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(
+    cors.cors,
+    parseSearch({
+      types: Object.keys(TYPES),
+      defaultTypes: DEFAULT_TYPES,
+      defaultLimit: 20,
+      maxLimit: 50,
+    }),
+    (req, res, next) => {
+      const { q, types, limit } = req.search;
+      const terms = termsOf(q);
+      Promise.all(types.map((type) => searchType(type, q, terms, limit)))
+        .then((results) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(
+            []
+              .concat(...results)
+              .sort((a, b) => b.score - a.score)
+              .slice(0, limit)
+          );
+        })
+        .catch((err) => next(err));
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Autocomplete for a search box: names starting with q, shortest first.
+searchRouter
+  .route('/suggest')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(
+    cors.cors,
+    parseSearch({
+      types: DEFAULT_TYPES,
+      defaultTypes: DEFAULT_TYPES,
+      defaultLimit: 10,
+      maxLimit: 20,
+    }),
+    (req, res, next) => {
+      const { q, types, limit } = req.search;
+      const prefix = new RegExp('^' + escapeRegExp(q), 'i');
+      Promise.all(
+        types.map((name) =>
+          TYPES[name].Model.find({ name: prefix }, 'name')
+            .limit(limit)
+            .lean()
+            .then((docs) =>
+              docs.map((doc) => ({
+                type: TYPES[name].type,
+                _id: doc._id,
+                name: doc.name,
+              }))
+            )
+        )
+      )
+        .then((results) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(
+            []
+              .concat(...results)
+              .sort(
+                (a, b) =>
+                  a.name.length - b.name.length || a.name.localeCompare(b.name)
+              )
+              .slice(0, limit)
+          );
+        })
+        .catch((err) => next(err));
+    }
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+module.exports = searchRouter;
@@ -0,0 +1,170 @@
+const express = require('express');
+const Campsite = require('../models/campsite');
+const Promotion = require('../models/promotion');
+const Partner = require('../models/partner');
+const Comment = require('../models/comment');
+const Favorite = require('../models/favorite');
+const User = require('../models/user');
+const authenticate = require('../authenticate');
+const audit = require('../audit');
+const cors = require('./cors');
+const errors = require('./errors');
+const listQuery = require('./listQuery');
+const confirmation = require('./confirmation');
+
+// The trash holds soft-deleted documents (see models/softDelete.js):
+//
+//   GET    /trash/:collection                  trashed documents, newest first
+//   POST   /trash/:collection/:id/restore      puts the document back
+//   DELETE /trash/:collection/:id              purges it for good
+//   DELETE /trash/:collection                  purges the whole collection's trash
+//
+// Purging has to be confirmed, see confirmation.js. Each collection needs the
+// same permission as deleting from it in the first place.
+const COLLECTIONS = {
+  campsites: {
+    Model: Campsite,
+    permission: 'campsites:write',
+    // a purged campsite takes all of its comments with it and leaves every
+    // favorite list it was on
+    onPurge: (ids) =>
+      Promise.all([
+        Comment.deleteMany({ campsite: { $in: ids } }),
+        Favorite.updateMany(
+          { campsites: { $in: ids } },
+          { $pull: { campsites: { $in: ids } } }
+        ),
+      ]),
+  },
+  promotions: { Model: Promotion, permission: 'promotions:write' },
+  partners: {
+    Model: Partner,
+    permission: 'partners:write',
+    // a purged partner's campsites stay, without a partner, and its managers
+    // manage nothing
+    onPurge: (ids) =>
+      Promise.all([
+        Campsite.updateMany(
+          { partner: { $in: ids } },
+          { $unset: { partner: 1 } }
+        ),
+        User.updateMany({ partner: { $in: ids } }, { $unset: { partner: 1 } }),
+      ]),
+  },
+  comments: { Model: Comment, permission: 'comments:moderate' },
+};
+
+const TRASHED = { deletedAt: { $ne: null } };
+
+const trashRouter = express.Router();
+
+trashRouter.param('collection', (req, res, next, name) => {
+  if (!Object.prototype.hasOwnProperty.call(COLLECTIONS, name)) {
+    const err = new Error(`There is no trash for ${name}`);
+    err.status = 404;
+    return next(err);
+  }
+  req.trash = COLLECTIONS[name];
+  return next();
+});
+
+const checkPermission = (req, res, next) =>
+  authenticate.requirePermission(req.trash.permission)(req, res, next);
+
+const trashRoute = [
+  cors.corsWithOptions,
+  authenticate.verifyUser,
+  checkPermission,
+];
+
+// Loads the trashed document named in the route onto req.trashed.
+const loadTrashed = (req, res, next) => {
+  req.trash.Model.findOne(Object.assign({ _id: req.params.id }, TRASHED))
+    .then((doc) => {
+      if (!doc) {
+        const err = new Error(`${req.params.id} is not in the trash`);
+        err.status = 404;
+        return next(err);
+      }
+      req.trashed = doc;
+      return next();
+    })
+    .catch((err) => next(err));
+};
+
+const purge = (trash, ids) =>
+  Promise.resolve(trash.onPurge && trash.onPurge(ids)).then(() =>
+    trash.Model.deleteMany({ _id: { $in: ids } })
+  );
+
+trashRouter
+  .route('/:collection')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(
+    trashRoute,
+    listQuery.parse({
+      filters: { deletedBy: 'string' },
+      sortable: ['deletedAt', 'createdAt'],
+      defaultSort: '-deletedAt',
+    }),
+    (req, res, next) => {
+      listQuery
+        .findPage(req.trash.Model, req.listQuery, TRASHED, (query) =>
+          query.withDeleted()
+        )
+        .then((result) => listQuery.sendPage(req, res, result))
+        .catch((err) => next(err));
+    }
+  )
+  .delete(trashRoute, confirmation.required, (req, res, next) => {
+    req.trash.Model.distinct('_id', TRASHED)
+      .then((ids) =>
+        purge(req.trash, ids).then((result) => {
+          audit.changedMany(
+            req,
+            req.trash.Model,
+            result.deletedCount,
+            'purgeMany'
+          );
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(result);
+        })
+      )
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+trashRouter
+  .route('/:collection/:id/restore')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .post(trashRoute, loadTrashed, (req, res, next) => {
+    const before = req.trashed.toObject();
+    req.trashed
+      .restore()
+      .then((doc) => {
+        audit.changed(req, before, doc, 'restore');
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(doc);
+      })
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+trashRouter
+  .route('/:collection/:id')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .delete(trashRoute, confirmation.required, loadTrashed, (req, res, next) => {
+    purge(req.trash, [req.trashed._id])
+      .then((result) => {
+        audit.changed(req, req.trashed, null, 'purge');
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(result);
+      })
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+module.exports = trashRouter;
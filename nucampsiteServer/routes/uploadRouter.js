@@ -1,63 +1,270 @@
 const express = require('express');
 const authenticate = require('../authenticate');
+const roles = require('../roles');
 const multer = require('multer');
 const cors = require('./cors');
+const errors = require('./errors');
+const config = require('../config');
+const listQuery = require('./listQuery');
+const Image = require('../models/image');
+const Campsite = require('../models/campsite');
+const processImage = require('../media/processImage');
+const library = require('../media/library');
+const getStorage = require('../media/storage');
+const rateLimit = require('../rateLimit');
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'public/images');
-  },
-  filename: (req, file, cb) => {
-    cb(null, file.originalname);
-  },
+const MAX_FILE_SIZE = config.uploads.maxFileSize;
+
+// Uploads are kept in memory until their content has been checked, and only
+// then handed to the configured storage adapter by processImage under a
+// content-hashed name.
+const storage = multer.memoryStorage();
+
+// Counted per user before the file is read, see config.rateLimit.uploads.
+const uploadLimit = rateLimit.limit('uploads', {
+  key: (req) => String(req.user._id),
 });
 
 const imageFileFilter = (req, file, cb) => {
-  if (!file.originalname.match(/\.(jpg|jpeg|png|gif)$/)) {
-    return cb(new Error('You can upload only image files!'), false);
+  if (!file.originalname.match(/\.(jpg|jpeg|png|gif)$/i)) {
+    const err = new Error('You can upload only image files!');
+    err.status = 400;
+    return cb(err, false);
   }
   cb(null, true);
 };
 
-const upload = multer({ storage: storage, fileFilter: imageFileFilter });
+const upload = multer({
+  storage: storage,
+  fileFilter: imageFileFilter,
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+});
+
+// Turns multer's errors, such as a file over the size limit, into client errors.
+const uploadImage = (req, res, next) => {
+  upload.single('imageFile')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      err.status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    }
+    next(err);
+  });
+};
 
 const uploadRouter = express.Router();
 
+// images:write covers the whole library. Users with only images:own, such as
+// partner managers, see nothing but their own uploads, and can only delete one
+// when everything that uses it belongs to their partner, since replacing an
+// image rewrites every document that uses it.
+const requireImagePermission = (req, res, next) => {
+  if (
+    roles.can(req.user, 'images:write') ||
+    roles.can(req.user, 'images:own')
+  ) {
+    return next();
+  }
+  const err = new Error('You are not authorized to perform this operation!');
+  err.status = 403;
+  return next(err);
+};
+
+const ownUploads = (req) =>
+  roles.can(req.user, 'images:write') ? {} : { uploadedBy: req.user._id };
+
+// Fails with a 403 unless every reference is the user's partner or one of its
+// campsites, or the user has images:write.
+const requireOwnPartner = (req, references) => {
+  if (roles.can(req.user, 'images:write')) {
+    return Promise.resolve();
+  }
+  const err = new Error(
+    'Image is also used outside of your partner and its campsites'
+  );
+  err.status = 403;
+  err.details = references;
+  const partnerId = req.user.partner;
+  const owned = references.every(
+    (reference) =>
+      reference.type === 'campsite' ||
+      (reference.type === 'partner' &&
+        String(reference._id) === String(partnerId))
+  );
+  if (!partnerId || !owned) {
+    return Promise.reject(err);
+  }
+  const campsiteIds = references
+    .filter((reference) => reference.type === 'campsite')
+    .map((reference) => reference._id);
+  return Campsite.countDocuments({
+    _id: { $in: campsiteIds },
+    partner: partnerId,
+  })
+    .withDeleted()
+    .then((count) => {
+      if (count !== campsiteIds.length) {
+        throw err;
+      }
+    });
+};
+
+// Adds to each image the campsites, partners and promotions that use it.
+const withReferences = (images) =>
+  library.findReferences(images).then((references) =>
+    images.map((image) =>
+      Object.assign(image.toJSON(), {
+        references: references[String(image._id)],
+      })
+    )
+  );
+
 uploadRouter
   .route('/')
   .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
-  .get(authenticate.verifyUser, authenticate.verifyAdmin, (req, res) => {
-    res.statusCode = 403;
-    res.end('GET operation not supported on /imageUpload');
-  })
+  .get(
+    cors.cors,
+    authenticate.verifyUser,
+    requireImagePermission,
+    listQuery.parse({
+      filters: { mimetype: 'string', uploadedBy: 'string' },
+      sortable: ['createdAt', 'size', 'width', 'height'],
+      defaultSort: '-createdAt',
+    }),
+    (req, res, next) => {
+      listQuery
+        .findPage(Image, req.listQuery, ownUploads(req), (query) =>
+          query.populate('uploadedBy', 'username firstname lastname')
+        )
+        .then((result) =>
+          withReferences(result.docs).then((images) =>
+            listQuery.sendPage(req, res, result, images)
+          )
+        )
+        .catch((err) => next(err));
+    }
+  )
   .post(
     cors.corsWithOptions,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
-    upload.single('imageFile'),
-    (req, res) => {
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'application/json');
-      res.json(req.file);
+    requireImagePermission,
+    uploadLimit,
+    uploadImage,
+    (req, res, next) => {
+      if (!req.file) {
+        const err = new Error('No imageFile was uploaded');
+        err.status = 400;
+        return next(err);
+      }
+      processImage(req.file.buffer, getStorage())
+        .then((image) =>
+          // The same content uploaded again keeps its first uploader.
+          Image.findOneAndUpdate(
+            { hash: image.hash },
+            {
+              $setOnInsert: Object.assign(
+                {
+                  originalname: req.file.originalname,
+                  uploadedBy: req.user._id,
+                },
+                image
+              ),
+            },
+            { upsert: true, new: true }
+          )
+        )
+        .then((image) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(image);
+        })
+        .catch((err) => next(err));
     }
   )
-  .put(
-    cors.corsWithOptions,
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+uploadRouter
+  .route('/:imageId')
+  .options(cors.corsWithOptions, (req, res) => res.sendStatus(200))
+  .get(
+    cors.cors,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
-    (req, res) => {
-      res.statusCode = 403;
-      res.end('PUT operation not supported on /imageUpload');
+    requireImagePermission,
+    (req, res, next) => {
+      Image.findOne(Object.assign({ _id: req.params.imageId }, ownUploads(req)))
+        .populate('uploadedBy', 'username firstname lastname')
+        .then((image) => {
+          if (!image) {
+            const err = new Error(`Image ${req.params.imageId} not found`);
+            err.status = 404;
+            throw err;
+          }
+          return withReferences([image]);
+        })
+        .then(([image]) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(image);
+        })
+        .catch((err) => next(err));
     }
   )
+  // An image can only be deleted once nothing uses it any more. With
+  // ?force=true&replaceWith=<url> everything that still uses it is first
+  // pointed at the replacement image; without a replacement the delete is
+  // refused, since the image field is required on all referencing documents.
   .delete(
     cors.corsWithOptions,
     authenticate.verifyUser,
-    authenticate.verifyAdmin,
-    (req, res) => {
-      res.statusCode = 403;
-      res.end('DELETE operation not supported on /imageUpload');
+    requireImagePermission,
+    (req, res, next) => {
+      const force = req.query.force === 'true';
+      const replaceWith = req.query.replaceWith;
+      Image.findOne(Object.assign({ _id: req.params.imageId }, ownUploads(req)))
+        .then((image) => {
+          if (!image) {
+            const err = new Error(`Image ${req.params.imageId} not found`);
+            err.status = 404;
+            throw err;
+          }
+          return library.findReferences([image]).then((references) => {
+            references = references[String(image._id)];
+            if (references.length && !(force && replaceWith)) {
+              const err = new Error(
+                force
+                  ? 'Image is still in use, pass replaceWith to clear its references'
+                  : 'Image is still in use, pass force=true and replaceWith to replace it'
+              );
+              err.status = 409;
+              err.details = references;
+              throw err;
+            }
+            if (references.length && image.urls().includes(replaceWith)) {
+              const err = new Error('An image cannot replace itself');
+              err.status = 400;
+              throw err;
+            }
+            return (references.length
+              ? requireOwnPartner(req, references).then(() =>
+                  library.replaceReferences(image, replaceWith)
+                )
+              : Promise.resolve()
+            )
+              .then(() => library.deleteFiles(image))
+              .then(() => image.remove())
+              .then(() => ({
+                success: true,
+                image: image._id,
+                replaced: references,
+              }));
+          });
+        })
+        .then((result) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json(result);
+        })
+        .catch((err) => next(err));
     }
-  );
+  )
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
 
 module.exports = uploadRouter;
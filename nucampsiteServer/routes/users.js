@@ -5,23 +5,81 @@ const passport = require('passport');
 // we'll import the authenticate module
 const authenticate = require('../authenticate');
 const cors = require('./cors');
+const errors = require('./errors');
+const listQuery = require('./listQuery');
+const validate = require('./validate');
+const Campsite = require('../models/campsite');
+const Favorite = require('../models/favorite');
+const Comment = require('../models/comment');
+const Partner = require('../models/partner');
+const PasswordReset = require('../models/passwordReset');
+const mailer = require('../mailer');
+const config = require('../config');
+const roles = require('../roles');
+const audit = require('../audit');
+const rateLimit = require('../rateLimit');
 
 const router = express.Router();
 
+// Request bodies of the account routes. Passwords are never trimmed.
+const password = { type: 'string', required: true, trim: false };
+const profileFields = {
+  firstname: { type: 'string', maxLength: 50 },
+  lastname: { type: 'string', maxLength: 50 },
+  email: {
+    type: 'string',
+    maxLength: 254,
+    pattern: /^\S+@\S+\.\S+$/,
+    patternMessage: 'is not a valid email address',
+  },
+};
+const signupBody = Object.assign(
+  { username: { type: 'string', required: true, maxLength: 50 }, password },
+  profileFields
+);
+const loginBody = {
+  username: { type: 'string', required: true },
+  password,
+};
+const refreshBody = { refreshToken: { type: 'string', required: true } };
+const forgotBody = { username: { type: 'string', required: true } };
+const resetBody = { token: { type: 'string', required: true }, password };
+
 /* GET users listing. */
 router.get(
   '/',
   cors.corsWithOptions,
   authenticate.verifyUser,
-  authenticate.verifyAdmin,
+  authenticate.requirePermission('users:manage'),
+  listQuery.parse({
+    filters: {
+      username: 'string',
+      admin: 'boolean',
+      roles: 'string',
+      locked: 'boolean',
+    },
+    sortable: ['username', 'firstname', 'lastname', 'createdAt'],
+    selectable: [
+      'username',
+      'firstname',
+      'lastname',
+      'admin',
+      'roles',
+      'locked',
+      'createdAt',
+    ],
+  }),
   function (req, res, next) {
-    res.send('respond with a resource');
+    listQuery
+      .findPage(User, req.listQuery)
+      .then((result) => listQuery.sendPage(req, res, result))
+      .catch((err) => next(err));
   }
 );
 
 // The passport-local-mongoose plugin provides us with methods that are useful for
 // registering and logging in users.
-router.post('/signup', cors.corsWithOptions, (req, res) => {
+router.post('/signup', cors.corsWithOptions, rateLimit.limit('signup'), validate.body(signupBody), (req, res, next) => {
   // This register method takes three arguments: The first will be a new User() that we
   // create with the name given to us from the client. The second will be the password
   // which we can plug directly from the incoming request from the client. The third will
@@ -34,9 +92,18 @@ router.post('/signup', cors.corsWithOptions, (req, res) => {
     // would contain the user document that was created.
     (err, user) => {
       if (err) {
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'application/json');
-        res.json({ err: err });
+        // A taken username is a conflict, a missing username or password is
+        // the client's mistake. Anything else, such as the database being
+        // down, stays a server error.
+        if (err.name === 'UserExistsError') {
+          err.status = 409;
+        } else if (
+          err.name === 'MissingUsernameError' ||
+          err.name === 'MissingPasswordError'
+        ) {
+          err.status = 400;
+        }
+        return next(err);
       } else {
         // We need to check if a first name was sent in the request body
         if (req.body.firstname) {
@@ -48,15 +115,16 @@ router.post('/signup', cors.corsWithOptions, (req, res) => {
           // if so, we need to set the user.lastname to that value
           user.lastname = req.body.lastname;
         }
+        // The email address is optional, but without one the password cannot be reset
+        if (req.body.email) {
+          user.email = req.body.email;
+        }
         // We need to save this to the database, so we use user.save() and handle
         // any potential errors in a callback
         user.save((err) => {
-          // if there was an error we'll send back a response
+          // if there was an error we'll pass it on to the error handler
           if (err) {
-            res.statusCode = 500;
-            res.setHeader('Content-Type', 'application/json');
-            res.json({ err: err });
-            return;
+            return next(err);
           }
           // if there was no error, we'll use passport to authenticate the newly
           // registered user. This will ensure the registration was successful. This
@@ -84,59 +152,431 @@ router.post('/signup', cors.corsWithOptions, (req, res) => {
 router.post(
   '/login',
   cors.corsWithOptions,
-  passport.authenticate('local'),
-  (req, res) => {
-    const token = authenticate.getToken({ _id: req.user._id });
-    res.statusCode = 200;
-    res.setHeader('Content-Type', 'application/json');
-    res.json({
-      success: true,
-      token: token,
-      status: 'You are successfully logged in!',
-    });
+  // Only failed logins count, both from the client's address and against the
+  // username, so that guessing is slowed down whichever of the two varies.
+  rateLimit.limit('login', { failuresOnly: true }),
+  validate.body(loginBody),
+  rateLimit.limit('loginUser', {
+    key: (req) => req.body.username.toLowerCase(),
+    failuresOnly: true,
+  }),
+  passport.authenticate('local', { failWithError: true }),
+  (req, res, next) => {
+    authenticate
+      .issueTokens(req.user)
+      .then((tokens) => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json({
+          success: true,
+          token: tokens.token,
+          refreshToken: tokens.refreshToken,
+          status: 'You are successfully logged in!',
+        });
+      })
+      .catch((err) => next(err));
   }
 );
 
+// Trades a refresh token for a new access token. Refresh tokens are single use,
+// so the response also carries the refresh token to use next time.
+router.post('/token/refresh', cors.corsWithOptions, validate.body(refreshBody), (req, res, next) => {
+  authenticate
+    .rotateRefreshToken(req.body.refreshToken)
+    .then((tokens) => {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.json({
+        success: true,
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        status: 'Token refreshed!',
+      });
+    })
+    .catch((err) => next(err));
+});
+
 // We will add the endpoint for logging out the user. For this we'll use a get, because
 // the client is not submitting any information to the server. We are simply logging out.
 // We'll set up the path and the middleware function as arguments.
 router.get('/logout', cors.corsWithOptions, (req, res, next) => {
-  // First thing we do is check if a session exists.
-  if (req.session) {
-    // if it does, we have to destroy the session using req.session.destroy(). This will
-    // delete the session file on the server side. And if the client tries to authenticate
-    // using that session's id, it will not be recognized by the server as a valid session.
-    req.session.destroy();
-    // Now, we are going to use an express method on the response object called clearCookie()
-    // We will pass in the name of the session that we configured in app.js which was
-    // 'session-id'. This will clear the cookie that's been stored on the client.
-    res.clearCookie('session-id');
-    // Then, we will call a method on the response object called redirect(). This will
-    // redirect the user to this route path which will just be localhost:3000/
-    res.redirect('/');
-    // else block for when session does not exist. (basically when someone tries to logout
-    // when they're not even logged in)
-  } else {
-    const err = new Error('You are not logged in!');
-    err.status = 401;
-    return next(Err);
-  }
+  // If the client sent a bearer token, the user is logged out everywhere: that
+  // token goes on the revocation list, and all of the user's other access tokens
+  // and refresh tokens are revoked too. Changing the password differs, it only
+  // revokes refresh tokens, so other devices stay logged in until their access
+  // tokens expire.
+  const payload = authenticate.getRequestToken(req);
+  const revoked = payload
+    ? Promise.all([
+        authenticate.revokeAccessToken(payload),
+        authenticate.revokeAccessTokens(payload._id),
+        authenticate.revokeUserTokens(payload._id),
+      ])
+    : Promise.resolve();
+
+  revoked
+    .then(() => {
+      // First thing we do is check if a session exists.
+      if (req.session) {
+        // if it does, we have to destroy the session using req.session.destroy(). This will
+        // delete the session file on the server side. And if the client tries to authenticate
+        // using that session's id, it will not be recognized by the server as a valid session.
+        req.session.destroy();
+        // Now, we are going to use an express method on the response object called clearCookie()
+        // We will pass in the name of the session that we configured in app.js which was
+        // 'session-id'. This will clear the cookie that's been stored on the client.
+        res.clearCookie('session-id');
+        // Then, we will call a method on the response object called redirect(). This will
+        // redirect the user to this route path which will just be localhost:3000/
+        res.redirect('/');
+      } else if (payload) {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json({ success: true, status: 'You are successfully logged out!' });
+        // else block for when neither a session nor a token exists. (basically when someone
+        // tries to logout when they're not even logged in)
+      } else {
+        const err = new Error('You are not logged in!');
+        err.status = 401;
+        return next(err);
+      }
+    })
+    .catch((err) => next(err));
 });
 
 router.get(
   '/facebook/token',
-  passport.authenticate('facebook-token'),
-  (req, res) => {
+  (req, res, next) => {
+    if (!config.facebook.enabled) {
+      const err = new Error('Facebook login is not enabled on this server');
+      err.status = 404;
+      return next(err);
+    }
+    return next();
+  },
+  passport.authenticate('facebook-token', { failWithError: true }),
+  (req, res, next) => {
     if (req.user) {
-      const token = authenticate.getToken({ _id: req.user._id });
+      authenticate
+        .issueTokens(req.user)
+        .then((tokens) => {
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.json({
+            success: true,
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            status: 'You are successfully logged in!',
+          });
+        })
+        .catch((err) => next(err));
+    }
+  }
+);
+
+// Self-service profile endpoints for the logged in user.
+
+router
+  .route('/me')
+  .get(cors.corsWithOptions, authenticate.verifyUser, (req, res) => {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.json(req.user);
+  })
+  // Only the profile fields may be changed here, never admin or locked.
+  .put(cors.corsWithOptions, authenticate.verifyUser, validate.body(profileFields), (req, res, next) => {
+    Object.keys(req.body).forEach((field) => {
+      req.user[field] = req.body[field];
+    });
+    req.user
+      .save()
+      .then((user) => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json(user);
+      })
+      .catch((err) => next(err));
+  })
+  .all(cors.corsWithOptions, errors.methodNotAllowed);
+
+// Changing the password logs the user out everywhere else by revoking their
+// refresh tokens. The old password is checked like a login, so wrong guesses
+// are throttled the same way.
+router.post(
+  '/me/password',
+  cors.corsWithOptions,
+  authenticate.verifyUser,
+  validate.body({ oldPassword: password, newPassword: password }),
+  (req, res, next) => {
+    req.user
+      .changePassword(req.body.oldPassword, req.body.newPassword)
+      .then((user) => authenticate.revokeUserTokens(user._id))
+      .then(() => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.json({ success: true, status: 'Password changed!' });
+      })
+      .catch((err) =>
+        authenticate
+          .loginThrottled(req.user.username, err)
+          .then((throttled) => {
+            if (
+              err.name === 'IncorrectPasswordError' ||
+              err.name === 'MissingPasswordError'
+            ) {
+              err.status = 400;
+            }
+            next(throttled || err);
+          })
+          .catch((err) => next(err))
+      );
+  }
+);
+
+// Starts a password reset. The response is the same whether or not the user
+// exists, so that this cannot be used to find out which usernames are taken.
+// Every request can send a mail, so they are limited both per client address and
+// per username, which keeps anyone from flooding someone else's inbox.
+const resetUserLimit = rateLimit.limit('passwordResetUser', { key: (req) => req.body.username.toLowerCase() });
+router.post('/password/forgot', cors.corsWithOptions, rateLimit.limit('passwordReset'), validate.body(forgotBody), resetUserLimit, (req, res, next) => {
+  User.findOne({ username: req.body.username })
+    .then((user) => {
+      if (!user || !user.email) {
+        return;
+      }
+      return PasswordReset.issue(user).then((token) => {
+        const resetUrl = config.mailer.resetUrl;
+        return mailer.send({
+          to: user.email,
+          subject: 'Reset your Nucamp password',
+          text:
+            'Someone asked to reset the password for your Nucamp account. ' +
+            'If that was you, use this link within the next hour:\n\n' +
+            (resetUrl ? `${resetUrl}?token=${token}` : `Reset token: ${token}`) +
+            '\n\nIf it was not you, you can ignore this message.',
+        });
+      });
+    })
+    .then(() => {
       res.statusCode = 200;
       res.setHeader('Content-Type', 'application/json');
       res.json({
         success: true,
-        token: token,
-        status: 'You are successfully logged in!',
+        status: 'If that account exists, a reset link has been sent to it.',
       });
-    }
+    })
+    .catch((err) => next(err));
+});
+
+router.post('/password/reset', cors.corsWithOptions, validate.body(resetBody), (req, res, next) => {
+  PasswordReset.redeem(req.body.token)
+    .then((userId) => (userId ? User.findById(userId) : null))
+    .then((user) => {
+      if (!user) {
+        const err = new Error('Invalid or expired reset token');
+        err.status = 400;
+        throw err;
+      }
+      // A new password also lifts a lockout after too many failed logins.
+      user.attempts = 0;
+      return user
+        .setPassword(req.body.password)
+        .then((user) => user.save())
+        .then((user) => authenticate.revokeUserTokens(user._id));
+    })
+    .then(() => {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.json({ success: true, status: 'Password has been reset!' });
+    })
+    .catch((err) => next(err));
+});
+
+// Admin user management. The id pattern keeps these routes from shadowing the
+// named routes above, such as GET /logout.
+const userIdPath = '/:userId([0-9a-fA-F]{24})';
+
+// Loads the user named in the route onto req.targetUser. Admins may not use
+// these routes on their own account, so that nobody locks themselves out.
+const loadTargetUser = (req, res, next) => {
+  if (req.user._id.equals(req.params.userId) && req.method !== 'GET') {
+    const err = new Error(
+      'You cannot perform this operation on your own account!'
+    );
+    err.status = 403;
+    return next(err);
+  }
+  User.findById(req.params.userId)
+    .then((user) => {
+      if (!user) {
+        const err = new Error(`User ${req.params.userId} not found`);
+        err.status = 404;
+        return next(err);
+      }
+      req.targetUser = user;
+      return next();
+    })
+    .catch((err) => next(err));
+};
+
+const adminRoute = [
+  cors.corsWithOptions,
+  authenticate.verifyUser,
+  authenticate.requirePermission('users:manage'),
+  loadTargetUser,
+];
+
+// Applies changes (an object, or a function returning one) to the target user,
+// runs the optional afterSave hook and responds with the saved user.
+const updateTargetUser = (changes, afterSave) => (req, res, next) => {
+  const before = req.targetUser.toObject();
+  Object.assign(
+    req.targetUser,
+    typeof changes === 'function' ? changes(req) : changes
+  );
+  req.targetUser
+    .save()
+    .then((user) => {
+      audit.changed(req, before, user);
+      return Promise.resolve(afterSave && afterSave(user)).then(() => user);
+    })
+    .then((user) => {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.json(user);
+    })
+    .catch((err) => next(err));
+};
+
+router.get(userIdPath, adminRoute, (req, res) => {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/json');
+  res.json(req.targetUser);
+});
+
+// Deleting a user also removes their comments on every campsite and their
+// favorites, and revokes their refresh tokens. The user document goes last so a
+// failed cleanup can simply be retried.
+router.delete(userIdPath, adminRoute, (req, res, next) => {
+  const userId = req.targetUser._id;
+  // deleteMany() skips the Comment hooks, so the ratings of every campsite the
+  // user commented on are recomputed afterwards.
+  const removeComments = Comment.distinct('campsite', { author: userId }).then(
+    (campsiteIds) =>
+      Comment.deleteMany({ author: userId })
+        .then(() =>
+          Promise.all(campsiteIds.map((id) => Campsite.updateRatings(id)))
+        )
+        .then(() => campsiteIds)
+  );
+  Promise.all([
+    removeComments,
+    Favorite.deleteMany({ user: userId }),
+    authenticate.revokeUserTokens(userId),
+  ])
+    .then(([campsites, favorites]) =>
+      req.targetUser.remove().then(() => {
+        audit.changed(req, req.targetUser, null);
+        return {
+          success: true,
+          user: userId,
+          campsitesUpdated: campsites.length,
+          favoritesDeleted: favorites.deletedCount,
+        };
+      })
+    )
+    .then((result) => {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.json(result);
+    })
+    .catch((err) => next(err));
+});
+
+// The roles that can be assigned below and the permissions each one grants.
+router.get(
+  '/roles',
+  cors.corsWithOptions,
+  authenticate.verifyUser,
+  authenticate.requirePermission('users:manage'),
+  (req, res) => {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.json(roles.ROLES);
+  }
+);
+
+// Replaces the user's roles, e.g. { "roles": ["editor", "moderator"] }.
+router.put(
+  userIdPath + '/roles',
+  adminRoute,
+  validate.body({
+    roles: {
+      type: 'array',
+      required: true,
+      items: { type: 'string', required: true, enum: roles.names },
+    },
+  }),
+  updateTargetUser((req) => ({ roles: req.body.roles }))
+);
+
+// Sets the partner a partner manager looks after, e.g. { "partner": "..." }.
+router.put(
+  userIdPath + '/partner',
+  adminRoute,
+  validate.body({ partner: { type: 'objectId', required: true } }),
+  (req, res, next) => {
+    Partner.exists({ _id: req.body.partner })
+      .then((exists) => {
+        if (!exists) {
+          const err = new Error(`Partner ${req.body.partner} not found`);
+          err.status = 404;
+          return next(err);
+        }
+        return updateTargetUser({ partner: req.body.partner })(req, res, next);
+      })
+      .catch((err) => next(err));
   }
 );
+router.delete(
+  userIdPath + '/partner',
+  adminRoute,
+  updateTargetUser({ partner: undefined })
+);
+
+// The admin flag predates roles and is kept for existing clients; it is the
+// same as holding the admin role.
+router.post(
+  userIdPath + '/admin',
+  adminRoute,
+  updateTargetUser({ admin: true })
+);
+router.delete(
+  userIdPath + '/admin',
+  adminRoute,
+  updateTargetUser((req) => ({
+    admin: false,
+    roles: req.targetUser.roles.filter((role) => role !== 'admin'),
+  }))
+);
+
+// Locking also revokes the user's refresh tokens; access tokens already issued
+// are refused by the jwt strategy as long as the account stays locked.
+router.post(
+  userIdPath + '/lock',
+  adminRoute,
+  updateTargetUser(
+    () => ({ locked: true, lockedAt: new Date() }),
+    (user) => authenticate.revokeUserTokens(user._id)
+  )
+);
+// Unlocking also lifts a lockout after too many failed logins.
+router.delete(
+  userIdPath + '/lock',
+  adminRoute,
+  updateTargetUser({ locked: false, lockedAt: undefined, attempts: 0 })
+);
+
+router.use(cors.corsWithOptions, errors.methodNotAllowedIn(router));
+
 module.exports = router;
@@ -0,0 +1,242 @@
+// Declarative request body validation. Each write route describes the body it
+// accepts; validate.body() checks the request against that description before
+// the handler runs, replaces req.body with a copy holding only the declared
+// fields (coerced to their types) and rejects anything else with a 400 whose
+// details name every offending field:
+//
+//   router.post('/', validate.body({
+//     name: { type: 'string', required: true, maxLength: 100 },
+//     elevation: { type: 'number', required: true },
+//     featured: { type: 'boolean' },
+//   }), handler);
+//
+// Rule types are string, number, integer, boolean, date, objectId, currency,
+// array (with items) and object (with fields). Besides required, rules may
+// set min/max for numbers and dates, minLength/maxLength for strings and
+// arrays, enum and pattern.
+const mongoose = require('mongoose');
+
+// Each caster returns the coerced value, or throws with what was expected.
+// Objects are never accepted where a scalar is expected, which is what keeps
+// Mongo operators like { "$gt": "" } out of queries and updates.
+const casters = {
+  string: (value, rule) => {
+    if (typeof value === 'number') {
+      value = String(value);
+    }
+    if (typeof value !== 'string') {
+      throw new Error('must be a string');
+    }
+    return rule.trim === false ? value : value.trim();
+  },
+  number: (value) => {
+    const number =
+      typeof value === 'string' && value !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !isFinite(number)) {
+      throw new Error('must be a number');
+    }
+    return number;
+  },
+  integer: (value) => {
+    const number = casters.number(value);
+    if (!Number.isInteger(number)) {
+      throw new Error('must be an integer');
+    }
+    return number;
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    throw new Error('must be true or false');
+  },
+  date: (value) => {
+    const date =
+      typeof value === 'string' || typeof value === 'number'
+        ? new Date(value)
+        : null;
+    if (!date || isNaN(date)) {
+      throw new Error('must be a date');
+    }
+    return date;
+  },
+  objectId: (value) => {
+    if (typeof value !== 'string' || !/^[0-9a-fA-F]{24}$/.test(value)) {
+      throw new Error('must be an id');
+    }
+    return mongoose.Types.ObjectId(value);
+  },
+  // Prices are whole cents, as mongoose-currency stores them and responses show
+  // them, so 1250 and "1250" both mean $12.50. A dollar amount has to say so,
+  // as in "$12.50". Either way the value is coerced to cents, so that min and
+  // max are in cents too.
+  currency: (value) => {
+    if (typeof value === 'string' && /^\d+$/.test(value)) {
+      return Number(value);
+    }
+    const dollars =
+      typeof value === 'string' && /^\$(\d+(\.\d{1,2})?)$/.exec(value);
+    if (dollars) {
+      return Math.round(Number(dollars[1]) * 100);
+    }
+    if (!Number.isInteger(value)) {
+      throw new Error(
+        'must be a whole number of cents or an amount such as $12.50'
+      );
+    }
+    return value;
+  },
+};
+
+const isFieldMap = (spec) => typeof spec.type !== 'string';
+
+// Validates value against rule, recording problems in errors under path.
+// Returns the coerced value, or undefined when it is missing or invalid.
+const check = (value, rule, path, errors, options) => {
+  if (value === undefined || value === null || value === '') {
+    if (rule.required && !options.partial) {
+      errors[path || 'body'] = 'is required';
+    }
+    return undefined;
+  }
+
+  if (rule.type === 'object') {
+    // Only the top level may be partial; nested objects replace the stored
+    // value as a whole, so they always have to be complete.
+    return checkFields(value, rule.fields, path, errors, path ? {} : options);
+  }
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors[path || 'body'] = 'must be an array';
+      return undefined;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      errors[path || 'body'] = `must have at least ${rule.minLength} items`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors[path || 'body'] = `must have at most ${rule.maxLength} items`;
+    }
+    // Items are always complete values, even when the body is partial.
+    return value.map((item, i) =>
+      check(item, rule.items, path ? `${path}.${i}` : String(i), errors, {})
+    );
+  }
+
+  let cast;
+  try {
+    cast = casters[rule.type](value, rule);
+  } catch (err) {
+    errors[path || 'body'] = err.message;
+    return undefined;
+  }
+  const problem = checkLimits(cast, rule);
+  if (problem) {
+    errors[path || 'body'] = problem;
+    return undefined;
+  }
+  return cast;
+};
+
+const checkLimits = (value, rule) => {
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of ${rule.enum.join(', ')}`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}`;
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.patternMessage || 'is not in the expected format';
+  }
+  return null;
+};
+
+const checkFields = (value, fields, path, errors, options) => {
+  const prefix = path ? `${path}.` : '';
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors[path || 'body'] = 'must be an object';
+    return undefined;
+  }
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+      errors[prefix + key] = 'is not allowed';
+    }
+  });
+  Object.keys(fields).forEach((key) => {
+    const cast = check(value[key], fields[key], prefix + key, errors, options);
+    if (cast !== undefined) {
+      result[key] = cast;
+    }
+  });
+  return result;
+};
+
+// The 400 for a body with problems, given as a map of field paths to what is
+// wrong with each.
+const validationError = (errors) => {
+  const err = new Error(
+    `Invalid request body: ${Object.keys(errors)
+      .map((path) => `${path} ${errors[path]}`)
+      .join(', ')}`
+  );
+  err.status = 400;
+  err.code = 'validation_failed';
+  err.details = errors;
+  return err;
+};
+
+/**
+ * Middleware factory validating req.body against spec, which is either a map
+ * of field names to rules or a single rule such as { type: 'array', items }.
+ * With options.partial, as for updates, required fields may be left out.
+ */
+exports.body = (spec, options) => {
+  const rule = isFieldMap(spec) ? { type: 'object', fields: spec } : spec;
+  options = options || {};
+  return (req, res, next) => {
+    const errors = {};
+    const body = check(req.body, rule, '', errors, options);
+    if (Object.keys(errors).length) {
+      return next(validationError(errors));
+    }
+    // An empty body validates as {} so that handlers can always read fields.
+    req.body = body === undefined ? {} : body;
+    return next();
+  };
+};
+
+/**
+ * Middleware factory checking that the ids a validated body refers to are
+ * documents of Model, used after body(). refsOf(body) returns the references
+ * as [path, id] pairs; each id that is not found fails like body() does, e.g.
+ * with { "campsites.1": "is not a campsite" }.
+ */
+exports.exists = (Model, refsOf) => (req, res, next) => {
+  const refs = refsOf(req.body);
+  if (!refs.length) {
+    return next();
+  }
+  Model.find({ _id: { $in: refs.map(([, id]) => id) } }, '_id')
+    .then((docs) => {
+      const found = docs.map((doc) => String(doc._id));
+      const errors = {};
+      refs.forEach(([path, id]) => {
+        if (!found.includes(String(id))) {
+          errors[path] = `is not a ${Model.modelName.toLowerCase()}`;
+        }
+      });
+      return next(
+        Object.keys(errors).length ? validationError(errors) : undefined
+      );
+    })
+    .catch((err) => next(err));
+};